@@ -0,0 +1,133 @@
+/**
+ * Append-only JSONL audit log of write tool calls.
+ *
+ * One JSON object per line, appended and never rewritten, so the file can be tailed,
+ * shipped to a log pipeline or grepped. Reading streams the file and keeps only the most
+ * recent matches, so large logs do not need to fit in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// Arguments longer than this (page bodies, base64 uploads) are recorded by length only
+const MAX_ARGUMENT_LENGTH = 500;
+
+// How a write ended: done, refused by the write policy, failed, or a patch update that stopped short
+const AUDIT_OUTCOMES = ['success', 'denied', 'error', 'no-changes', 'conflict-detected'];
+
+// Tool arguments as recorded in the log: long strings are summarised, tokens dropped
+function summarizeArguments(args = {}, omit = []) {
+  const summary = {};
+  for (const [key, value] of Object.entries(args)) {
+    if (omit.includes(key)) {
+      continue;
+    }
+    summary[key] = typeof value === 'string' && value.length > MAX_ARGUMENT_LENGTH
+      ? `[${value.length} characters]`
+      : value;
+  }
+  return summary;
+}
+
+function matchesFilters(entry, { tool, site, outcome, pageId, spaceKey, session, since, until }) {
+  if (tool && entry.tool !== tool) {
+    return false;
+  }
+  if (site && entry.site !== site) {
+    return false;
+  }
+  if (outcome && entry.outcome !== outcome) {
+    return false;
+  }
+  if (pageId && String(entry.target?.pageId) !== String(pageId)) {
+    return false;
+  }
+  if (spaceKey && String(entry.target?.spaceKey || '').toUpperCase() !== spaceKey.toUpperCase()) {
+    return false;
+  }
+  if (session && entry.session !== session) {
+    return false;
+  }
+  if (since && !(Date.parse(entry.timestamp) >= since)) {
+    return false;
+  }
+  if (until && !(Date.parse(entry.timestamp) <= until)) {
+    return false;
+  }
+  return true;
+}
+
+function createAuditLog(filePath) {
+  async function append(entry) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+  }
+
+  /**
+   * Most recent entries matching the filters, newest first. `since` and `until` are ISO
+   * timestamps, both inclusive. Lines that are not valid JSON (e.g. a partial write after a
+   * crash) are skipped.
+   */
+  async function query({ tool = null, site = null, outcome = null, pageId = null, spaceKey = null, session = null, since = null, until = null, limit = 50 } = {}) {
+    if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+      throw new Error(`outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}`);
+    }
+    const filters = {
+      tool,
+      site,
+      outcome,
+      pageId,
+      spaceKey,
+      session,
+      since: since ? Date.parse(since) : null,
+      until: until ? Date.parse(until) : null
+    };
+    if (since && Number.isNaN(filters.since)) {
+      throw new Error('since must be an ISO 8601 timestamp');
+    }
+    if (until && Number.isNaN(filters.until)) {
+      throw new Error('until must be an ISO 8601 timestamp');
+    }
+
+    let stream;
+    try {
+      await fs.promises.access(filePath);
+      stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+    } catch (error) {
+      return { entries: [], matched: 0 };
+    }
+
+    const recent = [];
+    let matched = 0;
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      if (!line.trim()) {
+        continue;
+      }
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+      if (!matchesFilters(entry, filters)) {
+        continue;
+      }
+      matched++;
+      recent.push(entry);
+      if (recent.length > limit) {
+        recent.shift();
+      }
+    }
+
+    return { entries: recent.reverse(), matched };
+  }
+
+  return { filePath, append, query };
+}
+
+module.exports = {
+  AUDIT_OUTCOMES,
+  createAuditLog,
+  summarizeArguments
+};
@@ -0,0 +1,541 @@
+/**
+ * Converters between Confluence storage format (XHTML with ac:/ri: macros) and Markdown.
+ *
+ * Storage -> Markdown uses turndown with Confluence-specific rules, Markdown -> storage
+ * uses marked with a storage-format renderer, so headings, lists, tables, links, code
+ * macros and images survive a round trip. Macros with no Markdown equivalent are kept
+ * verbatim in a ```confluence-storage fenced block and written back unchanged.
+ */
+
+const TurndownService = require('turndown');
+const { Marked } = require('marked');
+const domino = require('@mixmark-io/domino');
+
+const RAW_STORAGE_LANGUAGE = 'confluence-storage';
+const PAGE_LINK_SCHEME = 'confluence-page:';
+const USER_LINK_SCHEME = 'confluence-user:';
+const PANEL_MACROS = { info: 'Info', note: 'Note', warning: 'Warning', tip: 'Tip', panel: 'Panel' };
+const CODE_MACROS = ['code', 'noformat'];
+const VOID_ELEMENTS = ['br', 'hr', 'img', 'col'];
+const BLANK_MARKER = '\u200B';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// CDATA cannot contain "]]>", so split it across two sections
+function toCdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function unwrapCdata(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, content) => content);
+}
+
+// Parse storage format with an HTML parser. CDATA is not understood outside foreign
+// content and self-closing ac:/ri: tags would swallow their siblings, so fix both first.
+// Plain-text macro bodies are wrapped in <pre> so their whitespace is preserved.
+function parseStorage(storage) {
+  const html = String(storage || '')
+    .replace(
+      /(<ac:plain-text-body[^>]*>)([\s\S]*?)(<\/ac:plain-text-body>)/g,
+      (match, open, content, close) => `${open}<pre>\n${escapeXml(unwrapCdata(content))}</pre>${close}`
+    )
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, text) => escapeXml(text))
+    .replace(/<((?:ac|ri):[\w-]+)([^<>]*?)\s*\/>/g, '<$1$2></$1>');
+
+  return domino.createDocument(`<!DOCTYPE html><html><body>${html}</body></html>`).body;
+}
+
+function getMacroName(node) {
+  return (node.getAttribute('ac:name') || '').toLowerCase();
+}
+
+function getMacroParameter(node, name) {
+  for (const child of node.childNodes) {
+    if (child.nodeName === 'AC:PARAMETER' && child.getAttribute('ac:name') === name) {
+      return child.textContent;
+    }
+  }
+  return null;
+}
+
+function findChild(node, nodeName) {
+  for (const child of node.childNodes) {
+    if (child.nodeName === nodeName) {
+      return child;
+    }
+  }
+  return null;
+}
+
+function isMacro(node, names) {
+  return node.nodeName === 'AC:STRUCTURED-MACRO' && (!names || names.includes(getMacroName(node)));
+}
+
+// Serialize a parsed node back into storage format, restoring CDATA and self-closing tags
+function serializeStorage(node) {
+  if (node.nodeType === 3) {
+    return escapeXml(node.textContent.split(BLANK_MARKER).join(''));
+  }
+
+  if (node.nodeType !== 1) {
+    return '';
+  }
+
+  if (node.nodeName === 'AC:PLAIN-TEXT-BODY') {
+    return `<ac:plain-text-body>${toCdata(node.textContent)}</ac:plain-text-body>`;
+  }
+
+  const tagName = node.nodeName.toLowerCase();
+  const attributes = Array.from(node.attributes)
+    .map(attribute => ` ${attribute.name}="${escapeXml(attribute.value)}"`)
+    .join('');
+  const children = Array.from(node.childNodes).map(serializeStorage).join('');
+
+  if (!children && (VOID_ELEMENTS.includes(tagName) || tagName.startsWith('ri:'))) {
+    return `<${tagName}${attributes} />`;
+  }
+
+  return `<${tagName}${attributes}>${children}</${tagName}>`;
+}
+
+function fence(text, language = '') {
+  const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const marker = '`'.repeat(longestRun + 1);
+  return `\n\n${marker}${language}\n${text.replace(/\n$/, '')}\n${marker}\n\n`;
+}
+
+function encodeLinkTarget(target) {
+  return encodeURI(target).replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+function isTableHeadingRow(row) {
+  return Boolean(row) && Array.from(row.childNodes)
+    .filter(cell => cell.nodeType === 1)
+    .every(cell => cell.nodeName === 'TH');
+}
+
+function convertFragment(node) {
+  return node ? turndownService.turndown(node.innerHTML) : '';
+}
+
+// Rules are listed most specific first; turndown gives precedence to the rule added last
+const CONFLUENCE_RULES = [
+  {
+    name: 'strikethrough',
+    filter: ['del', 's', 'strike'],
+    replacement: content => `~~${content}~~`
+  },
+  {
+    name: 'macroParameter',
+    filter: node => node.nodeName === 'AC:PARAMETER',
+    replacement: () => ''
+  },
+  {
+    name: 'codeMacro',
+    filter: node => isMacro(node, CODE_MACROS),
+    replacement: (content, node) => {
+      const body = findChild(node, 'AC:PLAIN-TEXT-BODY');
+      return fence(body ? body.textContent : '', getMacroParameter(node, 'language') || '');
+    }
+  },
+  {
+    name: 'panelMacro',
+    filter: node => isMacro(node, Object.keys(PANEL_MACROS)),
+    replacement: (content, node) => {
+      const title = getMacroParameter(node, 'title');
+      const label = `**${PANEL_MACROS[getMacroName(node)]}${title ? `: ${title}` : ''}**`;
+      const quoted = `${label}\n\n${content.trim()}`.replace(/^/gm, '> ');
+      return `\n\n${quoted}\n\n`;
+    }
+  },
+  // Anything else (toc, jira, status, expand...) is kept verbatim so it can be written back
+  {
+    name: 'otherMacro',
+    filter: node => isMacro(node),
+    replacement: (content, node) => fence(serializeStorage(node), RAW_STORAGE_LANGUAGE)
+  },
+  {
+    name: 'image',
+    filter: node => node.nodeName === 'AC:IMAGE',
+    replacement: (content, node) => {
+      const attachment = findChild(node, 'RI:ATTACHMENT');
+      const externalUrl = findChild(node, 'RI:URL');
+      const source = attachment
+        ? attachment.getAttribute('ri:filename')
+        : externalUrl?.getAttribute('ri:value');
+      if (!source) {
+        return '';
+      }
+      const alt = node.getAttribute('ac:alt') || (attachment ? source : '');
+      return `![${alt.replace(/[[\]]/g, '\\$&')}](${encodeLinkTarget(source)})`;
+    }
+  },
+  {
+    name: 'link',
+    filter: node => node.nodeName === 'AC:LINK',
+    replacement: (content, node) => {
+      const page = findChild(node, 'RI:PAGE');
+      const attachment = findChild(node, 'RI:ATTACHMENT');
+      const user = findChild(node, 'RI:USER');
+      const anchor = node.getAttribute('ac:anchor');
+      const body = findChild(node, 'AC:PLAIN-TEXT-LINK-BODY') || findChild(node, 'AC:LINK-BODY');
+
+      let target = '';
+      let fallbackText = anchor || '';
+      if (page) {
+        const spaceKey = page.getAttribute('ri:space-key');
+        const pageTitle = page.getAttribute('ri:content-title') || '';
+        target = `${PAGE_LINK_SCHEME}${spaceKey ? `${encodeURIComponent(spaceKey)}/` : ''}${encodeURIComponent(pageTitle)}`;
+        fallbackText = pageTitle;
+      } else if (attachment) {
+        target = encodeLinkTarget(attachment.getAttribute('ri:filename') || '');
+        fallbackText = attachment.getAttribute('ri:filename');
+      } else if (user) {
+        const accountId = user.getAttribute('ri:account-id') || user.getAttribute('ri:userkey') || '';
+        target = `${USER_LINK_SCHEME}${encodeURIComponent(accountId)}`;
+        fallbackText = `@${accountId}`;
+      }
+
+      if (anchor) {
+        target = `${target}#${encodeURIComponent(anchor)}`;
+      }
+
+      const text = convertFragment(body) || fallbackText;
+      return target ? `[${text}](${target})` : text;
+    }
+  },
+  {
+    name: 'linkBody',
+    filter: node => node.nodeName === 'AC:PLAIN-TEXT-LINK-BODY' || node.nodeName === 'AC:LINK-BODY',
+    replacement: () => ''
+  },
+  {
+    name: 'taskList',
+    filter: node => node.nodeName === 'AC:TASK-LIST',
+    replacement: content => `\n\n${content.trim()}\n\n`
+  },
+  {
+    name: 'task',
+    filter: node => node.nodeName === 'AC:TASK',
+    replacement: (content, node) => {
+      const status = findChild(node, 'AC:TASK-STATUS');
+      const checked = status?.textContent.trim() === 'complete';
+      const text = convertFragment(findChild(node, 'AC:TASK-BODY')).replace(/\n+/g, ' ');
+      return `- [${checked ? 'x' : ' '}] ${text}\n`;
+    }
+  },
+  {
+    name: 'taskMetadata',
+    filter: node => ['AC:TASK-ID', 'AC:TASK-UUID', 'AC:TASK-STATUS', 'AC:TASK-BODY'].includes(node.nodeName),
+    replacement: () => ''
+  },
+  {
+    name: 'emoticon',
+    filter: node => node.nodeName === 'AC:EMOTICON',
+    replacement: (content, node) => node.getAttribute('ac:emoji-fallback') || `:${node.getAttribute('ac:name') || ''}:`
+  },
+  {
+    name: 'time',
+    filter: node => node.nodeName === 'TIME',
+    replacement: (content, node) => node.getAttribute('datetime') || content
+  },
+  {
+    name: 'layoutBlock',
+    filter: node => ['AC:LAYOUT', 'AC:LAYOUT-SECTION', 'AC:LAYOUT-CELL', 'AC:RICH-TEXT-BODY'].includes(node.nodeName),
+    replacement: content => `\n\n${content}\n\n`
+  },
+  {
+    name: 'tableSection',
+    filter: ['thead', 'tbody', 'tfoot'],
+    replacement: content => content
+  },
+  {
+    name: 'tableColumns',
+    filter: ['colgroup', 'col'],
+    replacement: () => ''
+  },
+  {
+    name: 'tableCell',
+    filter: ['th', 'td'],
+    replacement: (content, node) => {
+      const text = content.trim().replace(/\|/g, '\\|').replace(/\s*\n+\s*/g, '<br>');
+      const isFirstCell = !node.previousElementSibling;
+      return `${isFirstCell ? '|' : ''} ${text} |`;
+    }
+  },
+  {
+    name: 'tableRow',
+    filter: 'tr',
+    replacement: (content, node) => {
+      const table = node.closest('table');
+      const isHeading = table && table.rows[0] === node && isTableHeadingRow(node);
+      const separator = isHeading ? `\n|${' --- |'.repeat(node.cells.length)}` : '';
+      return `\n${content}${separator}`;
+    }
+  },
+  // GFM tables need a header row; tables without one get an empty header
+  {
+    name: 'table',
+    filter: 'table',
+    replacement: (content, node) => {
+      const firstRow = node.rows[0];
+      if (!firstRow) {
+        return '';
+      }
+      const columns = Math.max(...Array.from(node.rows).map(row => row.cells.length));
+      const header = isTableHeadingRow(firstRow) ? '' : `\n|${'   |'.repeat(columns)}\n|${' --- |'.repeat(columns)}`;
+      return `\n\n${header}${content}\n\n`;
+    }
+  }
+];
+
+function createTurndownService() {
+  const service = new TurndownService({
+    headingStyle: 'atx',
+    codeBlockStyle: 'fenced',
+    bulletListMarker: '-',
+    emDelimiter: '*'
+  });
+
+  for (const rule of [...CONFLUENCE_RULES].reverse()) {
+    service.addRule(rule.name, rule);
+  }
+
+  return service;
+}
+
+const turndownService = createTurndownService();
+
+// Elements without text that turndown would otherwise drop as "blank", together with
+// any paragraph that only contains them
+const BLANK_SENSITIVE_ELEMENTS = ['AC:STRUCTURED-MACRO', 'AC:IMAGE', 'AC:LINK', 'AC:EMOTICON', 'TIME'];
+
+function markBlankSensitiveElements(node) {
+  for (const child of node.childNodes) {
+    if (child.nodeType !== 1) {
+      continue;
+    }
+    if (BLANK_SENSITIVE_ELEMENTS.includes(child.nodeName) && /^\s*$/.test(child.textContent)) {
+      child.appendChild(child.ownerDocument.createTextNode(BLANK_MARKER));
+    } else {
+      markBlankSensitiveElements(child);
+    }
+  }
+  return node;
+}
+
+// Turndown leaves whitespace between unknown inline elements on lines of their own
+function removeWhitespaceOnlyLines(markdown) {
+  let fenceMarker = null;
+  return markdown.split('\n').map(line => {
+    const fenceMatch = line.match(/^(`{3,})/);
+    if (fenceMatch && (!fenceMarker || fenceMatch[1] === fenceMarker)) {
+      fenceMarker = fenceMarker ? null : fenceMatch[1];
+    }
+    return !fenceMarker && /^[ \u00a0\t]+$/.test(line) ? '' : line;
+  }).join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+function storageToMarkdown(storage) {
+  const markdown = turndownService.turndown(markBlankSensitiveElements(parseStorage(storage)));
+  return removeWhitespaceOnlyLines(markdown.split(BLANK_MARKER).join('')).trim() + '\n';
+}
+
+const TEXT_BLOCK_ELEMENTS = [
+  'P', 'DIV', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'PRE', 'BLOCKQUOTE', 'UL', 'OL', 'LI',
+  'TABLE', 'HR', 'AC:STRUCTURED-MACRO', 'AC:RICH-TEXT-BODY', 'AC:LAYOUT-SECTION',
+  'AC:LAYOUT-CELL', 'AC:TASK'
+];
+
+function isPreformatted(node) {
+  for (let current = node.parentNode; current; current = current.parentNode) {
+    if (current.nodeName === 'PRE') {
+      return true;
+    }
+  }
+  return false;
+}
+
+function collectText(node, parts) {
+  if (node.nodeType === 3) {
+    parts.push(isPreformatted(node) ? node.textContent : node.textContent.replace(/\s+/g, ' '));
+    return;
+  }
+  if (node.nodeType !== 1 || ['AC:PARAMETER', 'AC:TASK-ID', 'AC:TASK-UUID', 'AC:TASK-STATUS'].includes(node.nodeName)) {
+    return;
+  }
+
+  if (node.nodeName === 'BR') {
+    parts.push('\n');
+    return;
+  }
+  if (node.nodeName === 'AC:IMAGE') {
+    const attachment = findChild(node, 'RI:ATTACHMENT');
+    const externalUrl = findChild(node, 'RI:URL');
+    parts.push(`[image: ${attachment?.getAttribute('ri:filename') || externalUrl?.getAttribute('ri:value') || ''}]`);
+    return;
+  }
+
+  // Table cells are flattened onto one line and separated by tabs, one row per line
+  if (node.nodeName === 'TD' || node.nodeName === 'TH') {
+    const cellParts = [];
+    for (const child of node.childNodes) {
+      collectText(child, cellParts);
+    }
+    parts.push(cellParts.join('').replace(/\s*\n\s*/g, ' ').trim(), '\t');
+    return;
+  }
+  if (node.nodeName === 'TR') {
+    for (const child of node.childNodes) {
+      collectText(child, parts);
+    }
+    parts.push('\n');
+    return;
+  }
+
+  const isBlock = TEXT_BLOCK_ELEMENTS.includes(node.nodeName);
+  if (isBlock) {
+    parts.push('\n');
+  }
+  if (node.nodeName === 'LI') {
+    parts.push('- ');
+  }
+  if (node.nodeName === 'AC:TASK') {
+    parts.push(findChild(node, 'AC:TASK-STATUS')?.textContent.trim() === 'complete' ? '[x] ' : '[ ] ');
+  }
+  for (const child of node.childNodes) {
+    collectText(child, parts);
+  }
+  if (isBlock) {
+    parts.push('\n');
+  }
+}
+
+function storageToText(storage) {
+  const parts = [];
+  collectText(parseStorage(storage), parts);
+  return parts.join('')
+    .replace(/^(- |\[[x ]\] )\n+/gm, '$1')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+function isExternalTarget(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('/');
+}
+
+function decodeLinkTarget(href) {
+  try {
+    return decodeURIComponent(href);
+  } catch (error) {
+    return href;
+  }
+}
+
+function createStorageRenderer() {
+  return {
+    code({ text, lang }) {
+      const language = (lang || '').trim().split(/\s+/)[0];
+      if (language === RAW_STORAGE_LANGUAGE) {
+        return `${text}\n`;
+      }
+      const languageParameter = language
+        ? `<ac:parameter ac:name="language">${escapeXml(language)}</ac:parameter>`
+        : '';
+      return `<ac:structured-macro ac:name="code">${languageParameter}<ac:plain-text-body>${toCdata(text)}</ac:plain-text-body></ac:structured-macro>\n`;
+    },
+
+    html({ text }) {
+      return text.replace(/<(br|hr)\s*>/gi, '<$1 />');
+    },
+
+    hr() {
+      return '<hr />\n';
+    },
+
+    br() {
+      return '<br />';
+    },
+
+    image({ href, text }) {
+      const alt = text ? ` ac:alt="${escapeXml(text)}"` : '';
+      if (isExternalTarget(href)) {
+        return `<ac:image${alt}><ri:url ri:value="${escapeXml(href)}" /></ac:image>`;
+      }
+      return `<ac:image${alt}><ri:attachment ri:filename="${escapeXml(decodeLinkTarget(href))}" /></ac:image>`;
+    },
+
+    link({ href, title, tokens }) {
+      const text = this.parser.parseInline(tokens);
+      const linkBody = `<ac:link-body>${text}</ac:link-body>`;
+      const hashIndex = href.indexOf('#');
+      const target = hashIndex === -1 ? href : href.slice(0, hashIndex);
+      const anchorAttribute = hashIndex === -1
+        ? ''
+        : ` ac:anchor="${escapeXml(decodeLinkTarget(href.slice(hashIndex + 1)))}"`;
+
+      if (target.startsWith(PAGE_LINK_SCHEME)) {
+        const path = target.slice(PAGE_LINK_SCHEME.length).split('/');
+        const pageTitle = decodeLinkTarget(path.pop());
+        const spaceKey = path.length > 0 ? ` ri:space-key="${escapeXml(decodeLinkTarget(path[0]))}"` : '';
+        return `<ac:link${anchorAttribute}><ri:page${spaceKey} ri:content-title="${escapeXml(pageTitle)}" />${linkBody}</ac:link>`;
+      }
+      if (target.startsWith(USER_LINK_SCHEME)) {
+        const accountId = decodeLinkTarget(target.slice(USER_LINK_SCHEME.length));
+        return `<ac:link><ri:user ri:account-id="${escapeXml(accountId)}" /></ac:link>`;
+      }
+      if (target === '' && hashIndex !== -1) {
+        return `<ac:link${anchorAttribute}>${linkBody}</ac:link>`;
+      }
+      // Relative links are attachments of the page, mirroring how they are exported
+      if (!isExternalTarget(target)) {
+        return `<ac:link${anchorAttribute}><ri:attachment ri:filename="${escapeXml(decodeLinkTarget(target))}" />${linkBody}</ac:link>`;
+      }
+
+      const titleAttribute = title ? ` title="${escapeXml(title)}"` : '';
+      return `<a href="${escapeXml(href)}"${titleAttribute}>${text}</a>`;
+    },
+
+    list(token) {
+      if (!token.items.some(item => item.task)) {
+        return false;
+      }
+      const tasks = token.items.map((item, index) => {
+        const status = item.checked ? 'complete' : 'incomplete';
+        const body = this.parser.parse(item.tokens, !!item.loose).trim();
+        return `<ac:task><ac:task-id>${index + 1}</ac:task-id><ac:task-status>${status}</ac:task-status><ac:task-body>${body}</ac:task-body></ac:task>`;
+      });
+      return `<ac:task-list>${tasks.join('')}</ac:task-list>\n`;
+    },
+
+    table(token) {
+      const renderRow = (cells, tag) => `<tr>${cells.map(cell => `<${tag}>${this.parser.parseInline(cell.tokens)}</${tag}>`).join('')}</tr>`;
+      const hasHeader = token.header.some(cell => cell.text.trim() !== '');
+      const rows = token.rows.map(row => renderRow(row, 'td'));
+      if (hasHeader) {
+        rows.unshift(renderRow(token.header, 'th'));
+      }
+      return `<table><tbody>${rows.join('')}</tbody></table>\n`;
+    }
+  };
+}
+
+const storageMarked = new Marked({ gfm: true, breaks: false });
+storageMarked.use({ renderer: createStorageRenderer() });
+
+function markdownToStorage(markdown) {
+  return storageMarked.parse(String(markdown || '')).trim();
+}
+
+module.exports = {
+  storageToMarkdown,
+  storageToText,
+  markdownToStorage
+};
@@ -0,0 +1,225 @@
+/**
+ * Version-aware cache for page bodies and attachment blobs.
+ *
+ * A page or attachment at a given version never changes, so entries are keyed by
+ * id and version and never go stale themselves. What can go stale is which version is
+ * current: that is remembered per id for `ttlMs`, after which the caller re-checks the
+ * version (a small request without the body) before reusing an entry.
+ *
+ * The exception is metadata that changes without a new version, such as the space of a
+ * moved page: `evict` drops every cached version of an id for those cases.
+ *
+ * Entries live in memory (LRU, bounded by count and bytes) and, when `dir` is set, also on
+ * disk so they survive restarts. The disk layer is pruned oldest-first past `diskMaxBytes`.
+ * `scope` returns a prefix for every id (the site being talked to), so ids from different
+ * Atlassian sites never collide.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const KINDS = ['page', 'attachment'];
+
+// Blobs bigger than this share of the memory budget go to disk only, so one large
+// attachment cannot flush every page out of memory
+const MAX_BLOB_SHARE = 0.25;
+
+function createContentCache({ ttlMs = 30000, maxEntries = 500, maxBytes = 50 * 1024 * 1024, dir = null, diskMaxBytes = 500 * 1024 * 1024, scope = () => '' } = {}) {
+  const memory = new Map();
+  const current = new Map();
+  let memoryBytes = 0;
+  const stats = { hits: 0, diskHits: 0, misses: 0 };
+
+  const enabled = maxBytes > 0 || Boolean(dir);
+  const scoped = (id) => `${scope()}/${id}`;
+  const keyOf = (kind, id, version) => `${kind}:${scoped(id)}@${version}`;
+  const diskPath = (kind, id, version) => path.join(dir, kind, `${encodeURIComponent(scoped(id))}@${version}`);
+
+  function remember(key, entry) {
+    if (memory.has(key)) {
+      memoryBytes -= memory.get(key).size;
+      memory.delete(key);
+    }
+    if (maxBytes <= 0 || entry.size > maxBytes * MAX_BLOB_SHARE) {
+      return;
+    }
+
+    memory.set(key, entry);
+    memoryBytes += entry.size;
+    for (const [oldestKey, oldest] of memory) {
+      if (memory.size <= maxEntries && memoryBytes <= maxBytes) {
+        break;
+      }
+      memory.delete(oldestKey);
+      memoryBytes -= oldest.size;
+    }
+  }
+
+  // Pages are kept as JSON text, so every read hands back a fresh copy
+  function toEntry(kind, value) {
+    if (kind === 'page') {
+      const json = JSON.stringify(value);
+      return { json, size: Buffer.byteLength(json) };
+    }
+    return { buffer: value.buffer, contentType: value.contentType || null, size: value.buffer.length };
+  }
+
+  function fromEntry(kind, entry) {
+    if (kind === 'page') {
+      return JSON.parse(entry.json);
+    }
+    return { buffer: entry.buffer, contentType: entry.contentType };
+  }
+
+  async function readDisk(kind, id, version) {
+    const filePath = diskPath(kind, id, version);
+    try {
+      if (kind === 'page') {
+        const json = await fs.promises.readFile(`${filePath}.json`, 'utf8');
+        return { json, size: Buffer.byteLength(json) };
+      }
+      const meta = JSON.parse(await fs.promises.readFile(`${filePath}.meta.json`, 'utf8'));
+      const buffer = await fs.promises.readFile(`${filePath}.bin`);
+      return { buffer, contentType: meta.contentType, size: buffer.length };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Write to a temporary name first so a crash never leaves a truncated entry behind
+  async function writeFileAtomically(filePath, data) {
+    const partialPath = `${filePath}.${process.pid}.part`;
+    await fs.promises.writeFile(partialPath, data);
+    await fs.promises.rename(partialPath, filePath);
+  }
+
+  async function writeDisk(kind, id, version, entry) {
+    const filePath = diskPath(kind, id, version);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    if (kind === 'page') {
+      await writeFileAtomically(`${filePath}.json`, entry.json);
+    } else {
+      await writeFileAtomically(`${filePath}.bin`, entry.buffer);
+      await writeFileAtomically(`${filePath}.meta.json`, JSON.stringify({ contentType: entry.contentType }));
+    }
+    await pruneDisk();
+  }
+
+  async function pruneDisk() {
+    const files = [];
+    for (const kind of KINDS) {
+      const kindDir = path.join(dir, kind);
+      const names = await fs.promises.readdir(kindDir).catch(() => []);
+      for (const name of names) {
+        const filePath = path.join(kindDir, name);
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (stat) {
+          files.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+        }
+      }
+    }
+
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const file of files) {
+      if (total <= diskMaxBytes) {
+        break;
+      }
+      await fs.promises.unlink(file.filePath).catch(() => {});
+      total -= file.size;
+    }
+  }
+
+  return {
+    enabled,
+
+    // The cached value of `id` at `version`, from memory or disk, or null
+    async get(kind, id, version) {
+      if (!enabled || !version) {
+        return null;
+      }
+      const key = keyOf(kind, id, version);
+      let entry = memory.get(key);
+      if (entry) {
+        stats.hits++;
+      } else if (dir && (entry = await readDisk(kind, id, version))) {
+        stats.diskHits++;
+      } else {
+        stats.misses++;
+        return null;
+      }
+      remember(key, entry);
+      return fromEntry(kind, entry);
+    },
+
+    // Store `value` as `id` at `version`; a failing disk write only costs a future miss
+    async set(kind, id, version, value) {
+      if (!enabled || !version) {
+        return;
+      }
+      const entry = toEntry(kind, value);
+      remember(keyOf(kind, id, version), entry);
+      if (dir) {
+        await writeDisk(kind, id, version, entry).catch(error => {
+          console.error(`⚠️ Could not write ${kind} ${id} v${version} to the cache directory: ${error.message}`);
+        });
+      }
+    },
+
+    // Record that `version` is the current version of `id`, as of now
+    markCurrent(id, version) {
+      if (enabled) {
+        current.set(scoped(id), { version, checkedAt: Date.now() });
+      }
+    },
+
+    // The version last seen as current if it was checked within the TTL, else null
+    freshVersion(id) {
+      const seen = current.get(scoped(id));
+      return seen && Date.now() - seen.checkedAt < ttlMs ? seen.version : null;
+    },
+
+    // Whether a version check could find a cached entry for `id`
+    mayHave(id) {
+      return enabled && (current.has(scoped(id)) || Boolean(dir));
+    },
+
+    // Forget which version is current (e.g. after we wrote a new one); versioned entries stay valid
+    invalidate(id) {
+      current.delete(scoped(id));
+    },
+
+    // Drop every cached version of `id`, in memory and on disk. For changes that do not create
+    // a new version (e.g. a move to another space), where the cached copies themselves are wrong.
+    async evict(id) {
+      current.delete(scoped(id));
+      for (const [key, entry] of memory) {
+        if (key.slice(key.indexOf(':') + 1, key.lastIndexOf('@')) === scoped(id)) {
+          memory.delete(key);
+          memoryBytes -= entry.size;
+        }
+      }
+      if (!dir) {
+        return;
+      }
+
+      // encodeURIComponent escapes "@", so the prefix cannot match a different id
+      const prefix = `${encodeURIComponent(scoped(id))}@`;
+      for (const kind of KINDS) {
+        const kindDir = path.join(dir, kind);
+        const names = await fs.promises.readdir(kindDir).catch(() => []);
+        for (const name of names.filter(name => name.startsWith(prefix))) {
+          await fs.promises.unlink(path.join(kindDir, name)).catch(() => {});
+        }
+      }
+    },
+
+    stats() {
+      return { ...stats, memoryEntries: memory.size, memoryBytes, trackedIds: current.size };
+    }
+  };
+}
+
+module.exports = {
+  createContentCache
+};
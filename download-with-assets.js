@@ -1,79 +1,168 @@
 #!/usr/bin/env node
 
 /**
- * Example script showing how to download Confluence pages with all their assets
- * This demonstrates the enhanced MCP server capabilities for handling attachments
+ * Download Confluence pages with all their assets
+ * Starts mcp-server-stdio.js as a child process and talks to it as an MCP client,
+ * so it uses the same .env settings, write policy and cache as the server itself
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StdioClientTransport } = require('@modelcontextprotocol/sdk/client/stdio.js');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
 
-// Mock MCP client for demonstration - replace with actual MCP client calls
+const SERVER_PATH = path.join(__dirname, 'mcp-server-stdio.js');
+
+// Server log lines kept to explain a failed start (e.g. missing credentials)
+const MAX_SERVER_LOG_LINES = 20;
+// How long the spawned server may take to answer the MCP initialize request
+const CONNECT_TIMEOUT_MS = 30 * 1000;
+
+// Children are listed this many per request while walking a page tree
+const CHILD_PAGE_BATCH_SIZE = 100;
+// Longest folder name made from a page title
+const MAX_FOLDER_NAME_LENGTH = 100;
+
+// MCP client for mcp-server-stdio.js, spawned over stdio
 class MCPClient {
+  constructor({ env = {} } = {}) {
+    this.env = env;
+    this.client = null;
+    this.serverLog = [];
+  }
+  
+  async connect() {
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: [SERVER_PATH],
+      // Always stdio: MCP_TRANSPORT=http in the environment or .env would start an HTTP server instead
+      env: { ...process.env, ...this.env, MCP_TRANSPORT: 'stdio' },
+      stderr: 'pipe'
+    });
+    transport.stderr.on('data', chunk => {
+      this.serverLog.push(...chunk.toString().split('\n').filter(Boolean));
+      this.serverLog.splice(0, this.serverLog.length - MAX_SERVER_LOG_LINES);
+    });
+    
+    this.client = new Client({ name: 'confluence-download-with-assets', version: '1.0.0' });
+    try {
+      await this.client.connect(transport, { timeout: CONNECT_TIMEOUT_MS });
+    } catch (error) {
+      // Stop the child so a server that never answers does not keep this process alive
+      await transport.close().catch(() => {});
+      this.client = null;
+      const reason = error.code === ErrorCode.RequestTimeout
+        ? `no answer to the initialize request within ${CONNECT_TIMEOUT_MS / 1000}s`
+        : error.message;
+      throw new Error(`Could not start the MCP server: ${reason}\n${this.serverLog.join('\n')}`);
+    }
+  }
+  
+  // Returns the tool result; a result flagged isError (e.g. a Confluence 404) is thrown
   async callTool(toolName, args) {
     console.log(`📞 Calling tool: ${toolName}`, args);
-    // In practice, this would be an actual MCP client call
-    // For now, returning mock data structure
-    return {
-      content: [{
-        type: "text",
-        text: JSON.stringify({ mock: "data" }, null, 2)
-      }]
-    };
+    const result = await this.client.callTool({ name: toolName, arguments: args });
+    if (result.isError) {
+      const details = result.content?.[0]?.text || 'unknown error';
+      let message = details;
+      try {
+        // Write policy errors carry a message; Atlassian API errors a status and messages
+        const parsed = JSON.parse(details);
+        message = parsed.message || `${parsed.service} API error: ${parsed.status} ${parsed.statusText}${parsed.messages?.length ? ` - ${parsed.messages.join('; ')}` : ''}`;
+      } catch (error) {
+        // Not JSON: keep the text as it is
+      }
+      throw new Error(`${toolName} failed: ${message}`);
+    }
+    return result;
+  }
+  
+  async close() {
+    if (this.client) {
+      await this.client.close();
+      this.client = null;
+    }
   }
 }
 
-async function downloadPageWithAssets(pageId, outputDir = './downloads') {
-  const client = new MCPClient();
-  
-  console.log(`🚀 Starting download of page ${pageId} with all assets...`);
+// Helper: Start a client whose server saves attachment downloads into attachmentsDir
+async function connectClient(attachmentsDir) {
+  const client = new MCPClient({ env: { ATTACHMENT_DOWNLOAD_DIR: path.resolve(attachmentsDir) } });
+  await client.connect();
+  return client;
+}
+
+// Helper: Put every downloaded attachment of a page into attachmentsDir.
+// Attachments arrive in one of three shapes: already saved by the server (`path`, with
+// saveToDisk), base64 `data`, or as image content blocks following the text part, in order.
+// Returns { filename, savedAs, size, contentType } per attachment; savedAs differs from
+// filename when the server renamed the file to avoid overwriting another one.
+async function saveDownloadedAttachments(pageResponse, pageData, attachmentsDir) {
+  const images = pageResponse.content.filter(block => block.type === 'image');
+  const saved = [];
   
-  try {
-    // Ensure output directory exists
-    await fs.mkdir(outputDir, { recursive: true });
-    
-    // Step 1: Get page with attachments
-    console.log('📄 Fetching page content and attachments...');
-    const pageResponse = await client.callTool('confluence_get_page_with_attachments', {
-      pageId: pageId,
-      downloadAttachments: true // This will download all attachments
-    });
-    
-    const pageData = JSON.parse(pageResponse.content[0].text);
-    
-    // Step 2: Save the page content as Markdown
-    const pageFilename = `${pageData.title.replace(/[^a-zA-Z0-9 ]/g, '_').replace(/\s+/g, '_')}.md`;
-    
-    // Convert HTML content to more readable format and embed images
-    let markdownContent = pageData.body?.storage?.value || 'No content available';
-    
-    // Basic HTML to Markdown conversion for common elements
-    markdownContent = markdownContent
-      .replace(/<h1[^>]*>(.*?)<\/h1>/gi, '# $1')
-      .replace(/<h2[^>]*>(.*?)<\/h2>/gi, '## $1')
-      .replace(/<h3[^>]*>(.*?)<\/h3>/gi, '### $1')
-      .replace(/<h4[^>]*>(.*?)<\/h4>/gi, '#### $1')
-      .replace(/<p[^>]*>(.*?)<\/p>/gi, '$1\n\n')
-      .replace(/<br\s*\/?>/gi, '\n')
-      .replace(/<strong[^>]*>(.*?)<\/strong>/gi, '**$1**')
-      .replace(/<em[^>]*>(.*?)<\/em>/gi, '*$1*')
-      .replace(/<code[^>]*>(.*?)<\/code>/gi, '`$1`');
-    
-    // Handle image references - replace with markdown image syntax pointing to attachments folder
-    if (pageData.downloadedAttachments && pageData.downloadedAttachments.length > 0) {
-      for (const attachment of pageData.downloadedAttachments) {
-        const imageName = attachment.filename;
-        // Look for image references in the content and replace with proper markdown
-        const imageRegex = new RegExp(`<ac:image[^>]*>.*?<ri:attachment ri:filename="${imageName}"[^>]*>.*?</ac:image>`, 'gi');
-        markdownContent = markdownContent.replace(imageRegex, `![${imageName}](../attachments/${imageName})`);
-        
-        // Also handle simpler image tags
-        const simpleImageRegex = new RegExp(`<img[^>]*src="[^"]*${imageName}[^"]*"[^>]*>`, 'gi');
-        markdownContent = markdownContent.replace(simpleImageRegex, `![${imageName}](../attachments/${imageName})`);
+  for (const attachment of pageData.downloadedAttachments || []) {
+    let filePath = path.join(attachmentsDir, attachment.filename);
+    
+    if (attachment.path) {
+      filePath = attachment.path;
+      if (path.dirname(path.resolve(filePath)) !== path.resolve(attachmentsDir)) {
+        const copyPath = path.join(attachmentsDir, path.basename(filePath));
+        await fs.copyFile(filePath, copyPath);
+        filePath = copyPath;
       }
+    } else if (attachment.data !== undefined) {
+      await fs.writeFile(filePath, Buffer.from(attachment.data, 'base64'));
+    } else if (attachment.returnedAs === 'image' && images.length > 0) {
+      await fs.writeFile(filePath, Buffer.from(images.shift().data, 'base64'));
+    } else {
+      console.error(`⚠️ No data returned for attachment ${attachment.filename}`);
+      continue;
     }
     
-    const pageContent = `# ${pageData.title}
+    saved.push({
+      filename: attachment.filename,
+      savedAs: path.basename(filePath),
+      size: attachment.size,
+      contentType: attachment.contentType
+    });
+  }
+  
+  return saved;
+}
+
+// Helper: The server lists at most 1000 attachments per page; say so when a page has more,
+// since the export of that page is then incomplete. Returns whether it was truncated.
+function warnIfAttachmentsTruncated(pageData) {
+  if (!pageData.attachmentsTruncated) {
+    return false;
+  }
+  console.error(`⚠️ "${pageData.title}" has more attachments than the server lists; only the first ${pageData.attachments.length} were exported`);
+  return true;
+}
+
+// Helper: Encode a filename for a Markdown link target (parentheses would end the link).
+// The server's Markdown export writes attachment targets the same way.
+function toMarkdownPath(filename) {
+  return encodeURI(filename).replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+// Helper: Render a page fetched with format "markdown". Images and attachment links in the
+// body point at the bare filename; they are redirected into the attachments folder at
+// attachmentsLink (relative to the Markdown file), under the name each file was saved as.
+function renderPageMarkdown(pageData, savedAttachments, attachmentsLink, childLinks = []) {
+  const savedTargets = new Map(savedAttachments.map(attachment => [
+    toMarkdownPath(attachment.filename),
+    `${attachmentsLink}/${toMarkdownPath(attachment.savedAs)}`
+  ]));
+  
+  const markdownContent = (pageData.body?.markdown?.value || 'No content available')
+    .replace(/\]\(([^)#\s]+)(#[^)\s]*)?\)/g, (link, target, anchor = '') =>
+      savedTargets.has(target) ? `](${savedTargets.get(target)}${anchor})` : link
+    );
+  
+  return `# ${pageData.title}
 
 **Page ID:** ${pageData.id}  
 **Space:** ${pageData.space?.name || 'Unknown'}  
@@ -88,26 +177,53 @@ ${pageData.attachments && pageData.attachments.length > 0 ? `
 ## Attachments (${pageData.attachments.length})
 
 ${pageData.attachments.map(att => `- **${att.title}** (${att.extensions?.fileSize || 'Unknown'} bytes, ${att.extensions?.mediaType || 'Unknown'})`).join('\n')}
+` : ''}${childLinks.length > 0 ? `
+## Child Pages (${childLinks.length})
+
+${childLinks.map(child => `- [${child.title}](${toMarkdownPath(child.link)})`).join('\n')}
 ` : ''}
 `;
+}
+
+async function downloadPageWithAssets(pageId, outputDir = './downloads') {
+  const attachmentsDir = path.join(outputDir, 'attachments');
+  let client;
+  
+  console.log(`🚀 Starting download of page ${pageId} with all assets...`);
+  
+  try {
+    // Ensure output directory exists
+    await fs.mkdir(attachmentsDir, { recursive: true });
+    client = await connectClient(attachmentsDir);
+    
+    // Step 1: Get page with attachments
+    console.log('📄 Fetching page content and attachments...');
+    const pageResponse = await client.callTool('confluence_get_page_with_attachments', {
+      pageId: pageId,
+      downloadAttachments: true, // This will download all attachments
+      saveToDisk: true, // Full-size files written by the server, not base64 or scaled images
+      format: 'markdown'
+    });
+    
+    const pageData = JSON.parse(pageResponse.content[0].text);
+    warnIfAttachmentsTruncated(pageData);
+    
+    // Step 2: Collect the downloaded attachments in the attachments folder
+    const savedAttachments = await saveDownloadedAttachments(pageResponse, pageData, attachmentsDir);
+    
+    // Step 3: Save the page content as Markdown
+    const pageFilename = `${pageData.title.replace(/[^a-zA-Z0-9 ]/g, '_').replace(/\s+/g, '_')}.md`;
+    
+    const pageContent = renderPageMarkdown(pageData, savedAttachments, 'attachments');
     
     await fs.writeFile(path.join(outputDir, pageFilename), pageContent);
     console.log(`✅ Saved page content: ${pageFilename}`);
     
-    // Step 3: Save downloaded attachments to attachments folder (in root)
-    if (pageData.downloadedAttachments && pageData.downloadedAttachments.length > 0) {
-      const attachmentsDir = path.join(outputDir, 'attachments');
-      await fs.mkdir(attachmentsDir, { recursive: true });
-      
-      for (const attachment of pageData.downloadedAttachments) {
-        const buffer = Buffer.from(attachment.data, 'base64');
-        const filename = attachment.filename;
-        
-        await fs.writeFile(path.join(attachmentsDir, filename), buffer);
-        console.log(`📎 Saved attachment: ${filename} (${attachment.size} bytes)`);
-      }
-      
-      console.log(`✅ Downloaded ${pageData.downloadedAttachments.length} attachments to attachments/`);
+    for (const attachment of savedAttachments) {
+      console.log(`📎 Saved attachment: ${attachment.savedAs} (${attachment.size} bytes)`);
+    }
+    if (savedAttachments.length > 0) {
+      console.log(`✅ Downloaded ${savedAttachments.length} attachments to attachments/`);
     }
     
     // Step 4: Create manifest file
@@ -118,10 +234,11 @@ ${pageData.attachments.map(att => `- **${att.title}** (${att.extensions?.fileSiz
       space: pageData.space?.name,
       version: pageData.version?.number,
       attachmentCount: pageData.attachments?.length || 0,
-      downloadedAttachmentCount: pageData.downloadedAttachments?.length || 0,
+      downloadedAttachmentCount: savedAttachments.length,
+      attachmentsTruncated: Boolean(pageData.attachmentsTruncated),
       files: {
         page: pageFilename,
-        attachments: pageData.downloadedAttachments?.map(att => `attachments/${att.filename}`) || []
+        attachments: savedAttachments.map(att => `attachments/${att.savedAs}`)
       }
     };
     
@@ -133,18 +250,97 @@ ${pageData.attachments.map(att => `- **${att.title}** (${att.extensions?.fileSiz
     console.log('✨ Download complete!');
     console.log(`📁 Files saved to: ${outputDir}`);
     console.log(`📄 Page: ${pageFilename}`);
-    console.log(`📎 Assets: ${manifest.downloadedAttachmentCount} files in assets/`);
+    console.log(`📎 Assets: ${manifest.downloadedAttachmentCount} files in attachments/`);
     
     return manifest;
     
   } catch (error) {
     console.error('❌ Download failed:', error.message);
     throw error;
+  } finally {
+    if (client) {
+      await client.close();
+    }
   }
 }
 
+// Helper: Walk the page tree below a page, depth-first, following every page of children
+// so large trees are complete. Children keep the order Confluence lists them in.
+async function fetchPageTree(client, page, parentId = null, depth = 0, position = 0, visited = new Set()) {
+  const node = { id: page.id, title: page.title, parentId, depth, position, children: [] };
+  visited.add(page.id);
+  
+  for (let start = 0; ; ) {
+    const response = await client.callTool('confluence_get_children', {
+      pageId: page.id,
+      limit: CHILD_PAGE_BATCH_SIZE,
+      start
+    });
+    const batch = JSON.parse(response.content[0].text);
+    for (const child of batch.children) {
+      // A page can only have one parent, but never loop if the API says otherwise
+      if (!visited.has(child.id)) {
+        node.children.push(await fetchPageTree(client, child, page.id, depth + 1, node.children.length, visited));
+      }
+    }
+    start += batch.size;
+    
+    if (!batch.hasMore || batch.size === 0) {
+      break;
+    }
+  }
+  
+  return node;
+}
+
+// Helper: A folder name for a page title; falls back to the page ID when nothing usable is left
+function toFolderName(title, pageId) {
+  const name = title
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+    .replace(/[\s_]+/g, '_')
+    .replace(/^[._]+|[._]+$/g, '')
+    .slice(0, MAX_FOLDER_NAME_LENGTH);
+  return name || `page_${pageId}`;
+}
+
+// Helper: Give every page its own folder under its parent's. Siblings whose titles map to the
+// same name (compared case-insensitively, for macOS and Windows) get their page ID appended.
+function assignFolders(node, parentDir) {
+  node.folderName = node.folderName || toFolderName(node.title, node.id);
+  node.dir = path.join(parentDir, node.folderName);
+  
+  const taken = new Set();
+  for (const child of node.children) {
+    let folderName = toFolderName(child.title, child.id);
+    if (taken.has(folderName.toLowerCase())) {
+      folderName = `${folderName}_${child.id}`;
+    }
+    taken.add(folderName.toLowerCase());
+    child.folderName = folderName;
+    assignFolders(child, node.dir);
+  }
+}
+
+// Helper: Every node of the tree, parents before children, siblings in order
+function flattenTree(node) {
+  return [node, ...node.children.flatMap(flattenTree)];
+}
+
+// Helper: Relative path with forward slashes, for links and manifests
+function toExportPath(from, to) {
+  return path.relative(from, to).split(path.sep).join('/');
+}
+
+// Helper: The exported tree as an indented folder listing
+function renderFolderTree(node, indent = '') {
+  return [
+    `${indent}${node.folderName}/ (${node.failed ? 'download failed' : `index.md${node.attachmentCount ? `, ${node.attachmentCount} attachments` : ''}`})`,
+    ...node.children.map(child => renderFolderTree(child, `${indent}  `))
+  ].join('\n');
+}
+
 async function downloadPageHierarchy(rootPageId, outputDir = './downloads') {
-  const client = new MCPClient();
+  let client;
   
   console.log(`🌳 Starting hierarchical download from page ${rootPageId}...`);
   
@@ -155,8 +351,9 @@ async function downloadPageHierarchy(rootPageId, outputDir = './downloads') {
     // Create attachments folder in root (shared by all pages)
     const attachmentsDir = path.join(outputDir, 'attachments');
     await fs.mkdir(attachmentsDir, { recursive: true });
+    client = await connectClient(attachmentsDir);
     
-    // Step 1: Get root page info to determine space
+    // Step 1: Get root page info
     console.log('🔍 Getting root page info...');
     const rootPageResponse = await client.callTool('confluence_get_page', {
       pageId: rootPageId
@@ -164,205 +361,136 @@ async function downloadPageHierarchy(rootPageId, outputDir = './downloads') {
     const rootPageData = JSON.parse(rootPageResponse.content[0].text);
     const spaceKey = rootPageData.space?.key;
     
-    if (!spaceKey) {
-      throw new Error('Could not determine space key from root page');
-    }
-    
-    // Step 2: Search for all pages in the space or ancestor hierarchy
-    console.log(`🔍 Finding all pages in space ${spaceKey} or under ancestor ${rootPageId}...`);
-    
-    // Try to find child pages first
-    const childSearchResponse = await client.callTool('confluence_search', {
-      cql: `ancestor = ${rootPageId}`
-    });
-    const childSearchData = JSON.parse(childSearchResponse.content[0].text);
-    const childPages = childSearchData.results || [];
-    
-    // Also search for pages in the same space that might be related
-    const spaceSearchResponse = await client.callTool('confluence_search', {
-      cql: `space = "${spaceKey}" AND type = "page"`
-    });
-    const spaceSearchData = JSON.parse(spaceSearchResponse.content[0].text);
-    const spacePages = spaceSearchData.results || [];
-    
-    // Combine and deduplicate pages
-    const allPageIds = new Set();
-    const allPages = [];
-    
-    // Add root page
-    allPages.push(rootPageData);
-    allPageIds.add(rootPageId);
-    
-    // Add child pages
-    for (const page of childPages) {
-      if (!allPageIds.has(page.id)) {
-        allPages.push(page);
-        allPageIds.add(page.id);
-      }
-    }
-    
-    // Add space pages (if not too many)
-    if (spacePages.length <= 20) { // Reasonable limit
-      for (const page of spacePages) {
-        if (!allPageIds.has(page.id)) {
-          allPages.push(page);
-          allPageIds.add(page.id);
-        }
-      }
-    }
+    // Step 2: Walk the real parent/child tree and lay it out as nested folders
+    console.log(`🔍 Walking the page tree below ${rootPageData.title}...`);
+    const tree = await fetchPageTree(client, rootPageData);
+    assignFolders(tree, outputDir);
+    const allPages = flattenTree(tree);
     
     console.log(`📋 Found ${allPages.length} pages to download`);
     
-    // Step 3: Download all pages with attachments
-    const downloadedPages = [];
+    // Step 3: Download every page with its attachments into its folder
     const allAttachments = [];
+    const failedPages = [];
     
     for (let i = 0; i < allPages.length; i++) {
       const page = allPages[i];
+      await fs.mkdir(page.dir, { recursive: true });
+      
       try {
         console.log(`📄 Downloading page ${i + 1}/${allPages.length}: ${page.title} (${page.id})`);
         
         const pageResponse = await client.callTool('confluence_get_page_with_attachments', {
           pageId: page.id,
-          downloadAttachments: true
+          downloadAttachments: true,
+          saveToDisk: true,
+          format: 'markdown'
         });
         
         const pageData = JSON.parse(pageResponse.content[0].text);
+        page.attachmentsTruncated = warnIfAttachmentsTruncated(pageData);
+        const savedAttachments = await saveDownloadedAttachments(pageResponse, pageData, attachmentsDir);
         
-        // Save page as Markdown
-        const pageFilename = `${pageData.title.replace(/[^a-zA-Z0-9 ]/g, '_').replace(/\s+/g, '_')}_${pageData.id}.md`;
+        const childLinks = page.children.map(child => ({
+          title: child.title,
+          link: `${child.folderName}/index.md`
+        }));
+        const pageContent = renderPageMarkdown(pageData, savedAttachments, toExportPath(page.dir, attachmentsDir), childLinks);
+        await fs.writeFile(path.join(page.dir, 'index.md'), pageContent);
+        console.log(`✅ Saved: ${toExportPath(outputDir, path.join(page.dir, 'index.md'))}`);
         
-        // Convert content to Markdown and handle images
-        let markdownContent = pageData.body?.storage?.value || 'No content available';
-        
-        // Basic HTML to Markdown conversion
-        markdownContent = markdownContent
-          .replace(/<h1[^>]*>(.*?)<\/h1>/gi, '# $1')
-          .replace(/<h2[^>]*>(.*?)<\/h2>/gi, '## $1')
-          .replace(/<h3[^>]*>(.*?)<\/h3>/gi, '### $1')
-          .replace(/<h4[^>]*>(.*?)<\/h4>/gi, '#### $1')
-          .replace(/<p[^>]*>(.*?)<\/p>/gi, '$1\n\n')
-          .replace(/<br\s*\/?>/gi, '\n')
-          .replace(/<strong[^>]*>(.*?)<\/strong>/gi, '**$1**')
-          .replace(/<em[^>]*>(.*?)<\/em>/gi, '*$1*')
-          .replace(/<code[^>]*>(.*?)<\/code>/gi, '`$1`');
-        
-        // Handle image references and save attachments
-        if (pageData.downloadedAttachments && pageData.downloadedAttachments.length > 0) {
-          for (const attachment of pageData.downloadedAttachments) {
-            const imageName = attachment.filename;
-            
-            // Replace Confluence-specific image markup with Markdown
-            const imageRegex = new RegExp(`<ac:image[^>]*>.*?<ri:attachment ri:filename="${imageName}"[^>]*>.*?</ac:image>`, 'gi');
-            markdownContent = markdownContent.replace(imageRegex, `![${imageName}](attachments/${imageName})`);
-            
-            // Also handle simpler image tags
-            const simpleImageRegex = new RegExp(`<img[^>]*src="[^"]*${imageName}[^"]*"[^>]*>`, 'gi');
-            markdownContent = markdownContent.replace(simpleImageRegex, `![${imageName}](attachments/${imageName})`);
-            
-            // Save attachment to attachments folder (avoid duplicates)
-            const attachmentPath = path.join(attachmentsDir, attachment.filename);
-            const buffer = Buffer.from(attachment.data, 'base64');
-            await fs.writeFile(attachmentPath, buffer);
-            
-            allAttachments.push({
-              filename: attachment.filename,
-              pageTitle: pageData.title,
-              pageId: pageData.id,
-              size: attachment.size,
-              contentType: attachment.contentType
-            });
-          }
+        for (const attachment of savedAttachments) {
+          allAttachments.push({
+            filename: attachment.savedAs,
+            pageTitle: pageData.title,
+            pageId: pageData.id,
+            size: attachment.size,
+            contentType: attachment.contentType
+          });
         }
-        
-        const pageContent = `# ${pageData.title}
-
-**Page ID:** ${pageData.id}  
-**Space:** ${pageData.space?.name || 'Unknown'}  
-**Version:** ${pageData.version?.number || 'Unknown'}  
-**Last Modified:** ${pageData.version?.when || 'Unknown'}  
-
----
-
-${markdownContent}
-
-${pageData.attachments && pageData.attachments.length > 0 ? `
-## Attachments (${pageData.attachments.length})
-
-${pageData.attachments.map(att => `- **${att.title}** (${att.extensions?.fileSize || 'Unknown'} bytes, ${att.extensions?.mediaType || 'Unknown'})`).join('\n')}
-` : ''}
-`;
-        
-        await fs.writeFile(path.join(outputDir, pageFilename), pageContent);
-        console.log(`✅ Saved: ${pageFilename}`);
-        
-        downloadedPages.push({
-          id: pageData.id,
-          title: pageData.title,
-          filename: pageFilename,
-          attachmentCount: pageData.downloadedAttachments?.length || 0,
-          isRoot: pageData.id === rootPageId
-        });
+        page.version = pageData.version?.number;
+        page.attachmentCount = savedAttachments.length;
         
       } catch (error) {
         console.error(`❌ Failed to download page ${page.title}:`, error.message);
+        page.failed = true;
+        failedPages.push({ id: page.id, title: page.title, error: error.message });
       }
     }
     
-    // Step 4: Create comprehensive README
-    const uniqueAttachments = Array.from(
-      new Map(allAttachments.map(att => [att.filename, att])).values()
-    );
+    const downloadedPages = allPages.filter(page => !page.failed);
+    const truncatedPages = downloadedPages.filter(page => page.attachmentsTruncated);
     
-    const readmeContent = `# ${spaceKey} Space Export
+    // Step 4: Create comprehensive README
+    const readmeContent = `# ${rootPageData.title} Export
 
 **Export Date:** ${new Date().toISOString()}  
+**Space:** ${spaceKey || 'Unknown'}  
 **Root Page ID:** ${rootPageId}  
 **Root Page:** ${rootPageData.title}  
-**Total Pages:** ${downloadedPages.length}  
-**Total Attachments:** ${uniqueAttachments.length}  
+**Total Pages:** ${downloadedPages.length}${failedPages.length > 0 ? ` (${failedPages.length} failed)` : ''}  
+**Total Attachments:** ${allAttachments.length}  
 
 ## Pages Downloaded
 
-${downloadedPages.map(page => `- ${page.isRoot ? '🏠 ' : '📄 '}[${page.title}](${page.filename}) (${page.attachmentCount} attachments)`).join('\n')}
+${downloadedPages.map(page => `${'  '.repeat(page.depth)}- ${page.depth === 0 ? '🏠 ' : '📄 '}[${page.title}](${toMarkdownPath(toExportPath(outputDir, path.join(page.dir, 'index.md')))}) (${page.attachmentCount} attachments)`).join('\n')}
+${failedPages.length > 0 ? `
+## Failed Pages
 
+${failedPages.map(page => `- **${page.title}** (${page.id}): ${page.error}`).join('\n')}
+` : ''}
 ## Attachments
 
-${uniqueAttachments.map(att => `- **${att.filename}** from "${att.pageTitle}" (${att.size} bytes, ${att.contentType})`).join('\n')}
+${allAttachments.map(att => `- **${att.filename}** from "${att.pageTitle}" (${att.size} bytes, ${att.contentType})`).join('\n')}
 
 ## Structure
 
 \`\`\`
-${path.basename(outputDir)}/
-├── README.md (this file)
-├── attachments/ (${uniqueAttachments.length} files)
-${downloadedPages.map(page => `├── ${page.filename}`).join('\n')}
+${path.basename(path.resolve(outputDir))}/
+  README.md (this file)
+  hierarchy.json
+  attachments/ (${allAttachments.length} files)
+${renderFolderTree(tree, '  ')}
 \`\`\`
 
 ## Usage
 
-All images in the Markdown files reference the \`attachments/\` folder using relative paths. 
+Each page is an \`index.md\` in a folder named after it, nested the same way as in Confluence, with links to its child pages.
+All images reference the shared \`attachments/\` folder using relative paths.
 The exported documentation is self-contained and can be viewed with any Markdown viewer.
 
 ## Notes
 
-- All pages from space "${spaceKey}" have been downloaded
+- The page tree below "${rootPageData.title}" has been downloaded, including every child page and attachment${truncatedPages.length > 0 ? `
+- Some pages have more attachments than the server lists, so not all of theirs were exported (\`attachmentsTruncated\` in hierarchy.json): ${truncatedPages.map(page => `"${page.title}"`).join(', ')}` : ''}
+- \`hierarchy.json\` lists every page with its parent and position among its siblings
 - Images are embedded using proper Markdown syntax
-- The export preserves the original Confluence structure and metadata
 `;
     
     await fs.writeFile(path.join(outputDir, 'README.md'), readmeContent);
     
-    // Step 5: Create hierarchy manifest
+    // Step 5: Create hierarchy manifest with the real parent links
     const hierarchyManifest = {
       downloadDate: new Date().toISOString(),
       rootPageId: rootPageId,
       rootPageTitle: rootPageData.title,
       spaceKey: spaceKey,
       totalPages: downloadedPages.length,
-      totalAttachments: uniqueAttachments.length,
-      pages: downloadedPages,
-      attachments: uniqueAttachments
+      totalAttachments: allAttachments.length,
+      pages: allPages.map(page => ({
+        id: page.id,
+        title: page.title,
+        parentId: page.parentId,
+        position: page.position,
+        depth: page.depth,
+        version: page.version,
+        path: toExportPath(outputDir, path.join(page.dir, 'index.md')),
+        children: page.children.map(child => child.id),
+        attachmentCount: page.attachmentCount || 0,
+        attachmentsTruncated: Boolean(page.attachmentsTruncated)
+      })),
+      failedPages,
+      attachments: allAttachments
     };
     
     await fs.writeFile(
@@ -371,9 +499,9 @@ The exported documentation is self-contained and can be viewed with any Markdown
     );
     
     console.log('\n🎉 Hierarchical download completed!');
-    console.log(`� Output directory: ${outputDir}`);
-    console.log(`📄 Pages downloaded: ${downloadedPages.length}`);
-    console.log(`📎 Attachments downloaded: ${uniqueAttachments.length}`);
+    console.log(`📁 Output directory: ${outputDir}`);
+    console.log(`📄 Pages downloaded: ${downloadedPages.length}${failedPages.length > 0 ? ` (${failedPages.length} failed)` : ''}`);
+    console.log(`📎 Attachments downloaded: ${allAttachments.length}`);
     console.log(`🏠 Root page: ${rootPageData.title}`);
     
     return hierarchyManifest;
@@ -381,6 +509,10 @@ The exported documentation is self-contained and can be viewed with any Markdown
   } catch (error) {
     console.error('❌ Hierarchical download failed:', error.message);
     throw error;
+  } finally {
+    if (client) {
+      await client.close();
+    }
   }
 }
 
@@ -413,6 +545,9 @@ if (require.main === module) {
 }
 
 module.exports = {
+  MCPClient,
   downloadPageWithAssets,
-  downloadPageHierarchy
+  downloadPageHierarchy,
+  fetchPageTree,
+  assignFolders
 };
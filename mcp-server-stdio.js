@@ -3,35 +3,81 @@
 require('dotenv').config();
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
 const { 
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  isInitializeRequest,
 } = require('@modelcontextprotocol/sdk/types.js');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const fetch = require('node-fetch');
-const { diffLines, applyPatch, createPatch } = require('diff');
+const sharp = require('sharp');
+const { diffLines, createPatch } = require('diff');
+const { storageToMarkdown, storageToText, markdownToStorage } = require('./confluence-markdown.js');
+const { splitMergeUnits, mergeThreeWay } = require('./three-way-merge.js');
+const { findStorageSection } = require('./storage-sections.js');
+const { getBackoffDelay, getRetryDelay } = require('./request-retry.js');
+const {
+  CONFIRMATION_ARGUMENT,
+  loadWritePolicy,
+  isWriteTool,
+  hasLocationRules,
+  evaluateLocation,
+  createConfirmationToken,
+  isValidConfirmationToken
+} = require('./write-policy.js');
+const { AUDIT_OUTCOMES, createAuditLog, summarizeArguments } = require('./audit-log.js');
+const { createContentCache } = require('./content-cache.js');
+const { loadSiteProfiles, createSiteSelector, getAuthorizationHeader } = require('./site-profiles.js');
 
-console.error('🔧 Starting Confluence MCP Server (stdio)...');
+console.error('🔧 Starting Confluence MCP Server...');
 console.error(`📁 Working directory: ${process.cwd()}`);
 console.error(`🔐 Environment loaded: ${process.env.CONFLUENCE_URL ? '✅' : '❌'} Confluence URL`);
 console.error(`📝 Confluence URL: ${process.env.CONFLUENCE_URL || 'NOT SET'}`);
 console.error(`👤 Username: ${process.env.ATLASSIAN_USERNAME || 'NOT SET'}`);
 console.error(`🔑 API Token: ${process.env.ATLASSIAN_API_TOKEN ? '✅ Set' : '❌ Not Set'}`);
 
-// Validate environment variables
-if (!process.env.CONFLUENCE_URL || process.env.CONFLUENCE_URL === 'https://your-instance.atlassian.net/') {
-  console.error('❌ CONFLUENCE_URL is not properly configured in .env file');
-  process.exit(1);
+// Validate the connection settings. Which variables are required depends on
+// ATLASSIAN_DEPLOYMENT and ATLASSIAN_AUTH; a sites file replaces them all.
+if (process.env.ATLASSIAN_SITES_FILE) {
+  console.error(`🌐 Site profiles: ${process.env.ATLASSIAN_SITES_FILE}`);
 }
 
-if (!process.env.ATLASSIAN_USERNAME || process.env.ATLASSIAN_USERNAME === 'your-email@company.com') {
-  console.error('❌ ATLASSIAN_USERNAME is not properly configured in .env file');
+let siteProfiles;
+try {
+  siteProfiles = loadSiteProfiles();
+} catch (error) {
+  console.error(`❌ ${error.message} (check your .env file)`);
   process.exit(1);
 }
+for (const site of siteProfiles.sites.values()) {
+  console.error(`🌐 Site "${site.name}"${site.name === siteProfiles.defaultSite ? ' (default)' : ''}: ${site.confluenceUrl} [${site.deployment}, ${site.auth} auth]`);
+}
 
-if (!process.env.ATLASSIAN_API_TOKEN || process.env.ATLASSIAN_API_TOKEN === 'your-api-token-here') {
-  console.error('❌ ATLASSIAN_API_TOKEN is not properly configured in .env file');
+let writePolicy;
+try {
+  writePolicy = loadWritePolicy();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
   process.exit(1);
 }
+if (writePolicy.readOnly) {
+  console.error('🛡️ Read-only mode: write tools are disabled');
+} else if (hasLocationRules(writePolicy) || writePolicy.confirmWrites) {
+  console.error(`🛡️ Write policy: ${JSON.stringify(writePolicy)}`);
+}
 
 // Input validation helper
 function validateInput(input, type, required = true) {
@@ -51,76 +97,431 @@ function validateInput(input, type, required = true) {
   return input?.trim();
 }
 
-// Helper: Create Confluence API headers
-function getConfluenceHeaders() {
-  const username = process.env.ATLASSIAN_USERNAME;
-  const token = process.env.ATLASSIAN_API_TOKEN;
+// Each tool call runs against one site profile; requests made while it runs use that site
+const siteSelector = createSiteSelector(siteProfiles);
+
+// Helper: Profile of the site the current tool call targets (the default site outside tool calls)
+function getSite() {
+  return siteSelector.current();
+}
+
+// Helper: Resolve the optional `site` tool argument to a profile
+function resolveSite(site) {
+  return siteSelector.resolve(validateInput(site, 'Site', false));
+}
+
+// Helper: Root of the Confluence REST APIs for the current site: /wiki on Cloud,
+// the context path (if any) on Data Center, the api.atlassian.com gateway with OAuth
+function getConfluenceBaseUrl() {
+  return getSite().confluenceBaseUrl;
+}
+
+// Helper: Data Center/Server lacks several Cloud-only APIs; handlers branch on this
+function isDataCenter() {
+  return getSite().deployment === 'datacenter';
+}
+
+const OAUTH_TOKEN_URL = 'https://auth.atlassian.com/oauth/token';
+// Refresh OAuth access tokens this long before they expire
+const OAUTH_REFRESH_MARGIN_MS = 60000;
+
+// Helper: Whether the site's OAuth access token can be renewed
+function canRefreshOAuthToken(site) {
+  return Boolean(site.oauth?.refreshToken && site.oauth.clientId && site.oauth.clientSecret);
+}
+
+// Helper: Exchange the refresh token for a new access token. Atlassian rotates refresh
+// tokens, so the new one replaces the old in memory. Concurrent callers share one refresh.
+async function refreshOAuthToken(site) {
+  if (!canRefreshOAuthToken(site)) {
+    throw new Error(`Site "${site.name}": the OAuth access token was rejected or has expired, and no refresh token and client credentials are configured`);
+  }
   
-  if (!username || !token) {
-    console.error('❌ Missing ATLASSIAN_USERNAME or ATLASSIAN_API_TOKEN in .env file');
-    throw new Error('Missing ATLASSIAN_USERNAME or ATLASSIAN_API_TOKEN');
+  if (!site.oauth.refreshing) {
+    site.oauth.refreshing = (async () => {
+      console.error(`🔄 Refreshing OAuth access token for site "${site.name}"`);
+      const response = await fetch(OAUTH_TOKEN_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({
+          grant_type: 'refresh_token',
+          client_id: site.oauth.clientId,
+          client_secret: site.oauth.clientSecret,
+          refresh_token: site.oauth.refreshToken
+        }),
+        timeout: REQUEST_TIMEOUT_MS
+      });
+      if (!response.ok) {
+        throw new AtlassianApiError('Atlassian OAuth', 'POST', OAUTH_TOKEN_URL, response.status, response.statusText, await readErrorBody(response));
+      }
+      
+      const token = await response.json();
+      site.oauth.accessToken = token.access_token;
+      site.oauth.refreshToken = token.refresh_token || site.oauth.refreshToken;
+      site.oauth.expiresAt = Date.now() + (token.expires_in || 3600) * 1000;
+    })().finally(() => {
+      site.oauth.refreshing = null;
+    });
+  }
+  await site.oauth.refreshing;
+}
+
+// Helper: Create Confluence API headers for the current site's auth type
+async function getConfluenceHeaders() {
+  const site = getSite();
+  if (site.auth === 'oauth' && site.oauth.expiresAt - OAUTH_REFRESH_MARGIN_MS <= Date.now()) {
+    await refreshOAuthToken(site);
   }
   
   return {
-    'Authorization': 'Basic ' + Buffer.from(`${username}:${token}`).toString('base64'),
+    'Authorization': getAuthorizationHeader(site),
     'Content-Type': 'application/json',
     'Accept': 'application/json'
   };
 }
 
+// Error raised for non-2xx Atlassian responses, carrying the parsed error body
+class AtlassianApiError extends Error {
+  constructor(service, method, url, status, statusText, body) {
+    const details = extractAtlassianErrorMessages(body);
+    super(`${service} API error: ${status} ${statusText}${details.length > 0 ? ` - ${details.join('; ')}` : ''}`);
+    this.name = 'AtlassianApiError';
+    this.service = service;
+    this.method = method;
+    this.url = url;
+    this.status = status;
+    this.statusText = statusText;
+    this.details = details;
+    this.body = body;
+  }
+
+  toJSON() {
+    return {
+      error: this.name,
+      service: this.service,
+      status: this.status,
+      statusText: this.statusText,
+      method: this.method,
+      url: this.url,
+      messages: this.details,
+      body: this.body
+    };
+  }
+}
+
+// Helper: Collect human-readable messages from Confluence and Jira error payloads
+function extractAtlassianErrorMessages(body) {
+  if (!body || typeof body !== 'object') {
+    return typeof body === 'string' && body.trim() !== '' ? [body.trim().slice(0, 500)] : [];
+  }
+
+  const messages = [];
+  if (body.message) {
+    messages.push(body.message);
+  }
+  for (const error of body.data?.errors || []) {
+    messages.push(error.message?.translation || error.message?.key || JSON.stringify(error));
+  }
+  messages.push(...(body.errorMessages || []));
+  for (const [field, message] of Object.entries(body.errors || {})) {
+    messages.push(`${field}: ${message}`);
+  }
+  return messages;
+}
+
+const REQUEST_TIMEOUT_MS = parseInt(process.env.ATLASSIAN_TIMEOUT_MS, 10) || 30000;
+const MAX_RETRIES = parseInt(process.env.ATLASSIAN_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.ATLASSIAN_MAX_RETRIES, 10) : 3;
+const DOWNLOAD_TIMEOUT_MS = parseInt(process.env.ATLASSIAN_DOWNLOAD_TIMEOUT_MS, 10) || 300000;
+const RETRYABLE_STATUS_CODES = [500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE', 'OPTIONS'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function readErrorBody(response) {
+  const text = await response.text().catch(() => '');
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Send a request to an Atlassian REST API. Every tool goes through here.
+ *
+ * - Adds auth headers for the current site (Basic, PAT or OAuth bearer), merged with any
+ *   `headers` passed in; a 401 with OAuth triggers one token refresh and a resend
+ * - Times out after `timeoutMs` (ATLASSIAN_TIMEOUT_MS, default 30s)
+ * - Retries network errors and 5xx responses with exponential backoff and jitter
+ *   (idempotent requests only, so a POST is never sent twice). Pass `idempotent: false` for
+ *   a PUT that bumps a version: if a timed-out attempt actually landed, resending it would
+ *   report a 409 version conflict for a write that succeeded
+ * - Retries 429 responses after the delay given by Retry-After
+ * - Throws AtlassianApiError with the parsed error body for any other non-2xx response
+ *
+ * Resolves to the node-fetch Response so callers can read JSON, text or a buffer.
+ */
+async function atlassianRequest(url, options = {}) {
+  const {
+    method = 'GET',
+    headers = {},
+    body,
+    service = 'Confluence',
+    timeoutMs = REQUEST_TIMEOUT_MS,
+    retries = MAX_RETRIES,
+    idempotent = IDEMPOTENT_METHODS.includes(method.toUpperCase())
+  } = options;
+  const canRetryFailures = idempotent;
+  const site = getSite();
+  let refreshedToken = false;
+
+  for (let attempt = 0; ; attempt++) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: { ...await getConfluenceHeaders(), ...headers },
+        body,
+        timeout: timeoutMs
+      });
+    } catch (error) {
+      if (!canRetryFailures || attempt >= retries) {
+        console.error(`${service} request failed:`, method, url, error.message);
+        throw new Error(`${service} request failed: ${error.message}`);
+      }
+      const delay = getBackoffDelay(attempt);
+      console.error(`⏳ ${service} request failed (${error.message}), retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
+      continue;
+    }
+
+    if (response.ok) {
+      return response;
+    }
+
+    // An OAuth token can be revoked or expire early: refresh it once and resend
+    if (response.status === 401 && site.auth === 'oauth' && !refreshedToken && canRefreshOAuthToken(site)) {
+      await response.text().catch(() => '');
+      await refreshOAuthToken(site);
+      refreshedToken = true;
+      attempt--;
+      continue;
+    }
+
+    const isRateLimited = response.status === 429;
+    const isRetryableFailure = canRetryFailures && RETRYABLE_STATUS_CODES.includes(response.status);
+
+    if ((isRateLimited || isRetryableFailure) && attempt < retries) {
+      const delay = getRetryDelay(response.headers.get('retry-after'), attempt);
+      // Drain the body so the connection can be reused
+      await response.text().catch(() => '');
+      console.error(`⏳ ${service} API returned ${response.status}, retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
+      continue;
+    }
+
+    const errorBody = await readErrorBody(response);
+    console.error(`${service} API error:`, response.status, typeof errorBody === 'string' ? errorBody : JSON.stringify(errorBody));
+    throw new AtlassianApiError(service, method, url, response.status, response.statusText, errorBody);
+  }
+}
+
+// Helper: Pull the opaque pagination cursor out of a Confluence `_links.next` URL
+function extractNextCursor(nextLink) {
+  if (!nextLink) {
+    return null;
+  }
+
+  const query = nextLink.includes('?') ? nextLink.slice(nextLink.indexOf('?') + 1) : '';
+  return new URLSearchParams(query).get('cursor');
+}
+
+const MAX_SEARCH_PAGE_SIZE = 250;
+const DEFAULT_FETCH_ALL_LIMIT = 1000;
+
 // Tool implementations
-async function handleConfluenceSearch(cql) {
+async function fetchConfluenceSearchPage(url) {
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  return await response.json();
+}
+
+async function handleConfluenceSearch(cql, options = {}) {
   const sanitizedCql = validateInput(cql, 'CQL query');
-  const url = `${process.env.CONFLUENCE_URL}/wiki/rest/api/content/search?cql=${encodeURIComponent(sanitizedCql)}`;
+  const sanitizedCursor = validateInput(options.cursor, 'Cursor', false);
+  const sanitizedExpand = validateInput(options.expand, 'Expand', false);
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 25, 1), MAX_SEARCH_PAGE_SIZE);
+  
+  const params = new URLSearchParams({ cql: sanitizedCql, limit: String(limit) });
+  if (sanitizedCursor) {
+    params.set('cursor', sanitizedCursor);
+  }
+  if (options.start !== undefined && options.start !== null) {
+    params.set('start', String(Math.max(parseInt(options.start, 10) || 0, 0)));
+  }
+  if (sanitizedExpand) {
+    params.set('expand', sanitizedExpand);
+  }
+  
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/search?${params.toString()}`;
   
   console.error(`🔍 Searching Confluence with CQL: ${sanitizedCql}`);
   
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: getConfluenceHeaders()
-  });
+  const firstPage = await fetchConfluenceSearchPage(url);
   
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Confluence API error:', response.status, errorText);
-    throw new Error(`Confluence API error: ${response.status} ${response.statusText}`);
+  if (!options.fetchAll) {
+    return {
+      ...firstPage,
+      nextCursor: extractNextCursor(firstPage._links?.next)
+    };
   }
   
-  return await response.json();
+  // Follow `_links.next` until the results run out or we hit the caller's cap
+  const maxResults = Math.max(parseInt(options.maxResults, 10) || DEFAULT_FETCH_ALL_LIMIT, 1);
+  const results = [...(firstPage.results || [])];
+  let nextLink = firstPage._links?.next;
+  let pagesFetched = 1;
+  
+  while (nextLink && results.length < maxResults) {
+    console.error(`📄 Fetching search page ${pagesFetched + 1} (${results.length} results so far)`);
+    const page = await fetchConfluenceSearchPage(`${getConfluenceBaseUrl()}${nextLink}`);
+    results.push(...(page.results || []));
+    nextLink = page._links?.next;
+    pagesFetched++;
+  }
+  
+  const truncated = results.length > maxResults || Boolean(nextLink);
+  const returned = results.slice(0, maxResults);
+  
+  return {
+    results: returned,
+    size: returned.length,
+    totalSize: firstPage.totalSize,
+    pagesFetched,
+    truncated,
+    // Only meaningful when the last page was consumed whole, otherwise results would be skipped
+    nextCursor: results.length > maxResults ? null : extractNextCursor(nextLink)
+  };
+}
+
+const BODY_FORMATS = ['storage', 'markdown', 'text'];
+const CONTENT_FORMATS = ['storage', 'markdown'];
+
+// Helper: Replace a page's storage body with the requested representation
+function formatPageBody(page, format = 'storage') {
+  if (!BODY_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${BODY_FORMATS.join(', ')}`);
+  }
+  
+  if (format === 'storage' || !page.body?.storage) {
+    return page;
+  }
+  
+  const storage = page.body.storage.value || '';
+  const value = format === 'markdown' ? storageToMarkdown(storage) : storageToText(storage);
+  
+  return {
+    ...page,
+    body: {
+      [format]: {
+        value,
+        representation: format
+      }
+    }
+  };
 }
 
-async function handleConfluenceGetPage(pageId) {
+// Helper: Convert content supplied by the caller into storage format
+function toStorageContent(content, contentFormat = 'storage') {
+  if (!CONTENT_FORMATS.includes(contentFormat)) {
+    throw new Error(`Content format must be one of: ${CONTENT_FORMATS.join(', ')}`);
+  }
+  
+  return contentFormat === 'markdown' ? markdownToStorage(content) : content;
+}
+
+// Page bodies and attachment blobs are cached by version. Within CACHE_TTL_MS a page's
+// current version is trusted; after that a version check decides whether to refetch.
+const contentCache = createContentCache({
+  ttlMs: parseInt(process.env.CACHE_TTL_MS, 10) >= 0 ? parseInt(process.env.CACHE_TTL_MS, 10) : 30000,
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500,
+  maxBytes: parseInt(process.env.CACHE_MAX_BYTES, 10) >= 0 ? parseInt(process.env.CACHE_MAX_BYTES, 10) : 50 * 1024 * 1024,
+  dir: process.env.CACHE_DIR ? path.resolve(process.env.CACHE_DIR) : null,
+  diskMaxBytes: parseInt(process.env.CACHE_DISK_MAX_BYTES, 10) || 500 * 1024 * 1024,
+  scope: () => getSite().name
+});
+
+// Helper: Current version number of a page or attachment, without its body
+async function fetchContentVersion(contentId) {
+  const response = await atlassianRequest(`${getConfluenceBaseUrl()}/rest/api/content/${contentId}?expand=version`, {
+    method: 'GET'
+  });
+  return (await response.json()).version?.number || null;
+}
+
+// Pass revalidate when the result feeds a write: it skips the TTL and always checks the version
+async function handleConfluenceGetPage(pageId, format = 'storage', { revalidate = false } = {}) {
   const sanitizedPageId = validateInput(pageId, 'Page ID');
-  const url = `${process.env.CONFLUENCE_URL}/wiki/rest/api/content/${sanitizedPageId}?expand=body.storage,version,space`;
+  
+  let version = revalidate ? null : contentCache.freshVersion(sanitizedPageId);
+  if (!version && contentCache.mayHave(sanitizedPageId)) {
+    version = await fetchContentVersion(sanitizedPageId);
+  }
+  const cachedPage = await contentCache.get('page', sanitizedPageId, version);
+  if (cachedPage) {
+    console.error(`⚡ Using cached Confluence page: ${sanitizedPageId} (v${version})`);
+    contentCache.markCurrent(sanitizedPageId, version);
+    return formatPageBody(cachedPage, format);
+  }
+  
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}?expand=body.storage,version,space`;
   
   console.error(`📖 Fetching Confluence page: ${sanitizedPageId}`);
   
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: getConfluenceHeaders()
+  const response = await atlassianRequest(url, {
+    method: 'GET'
   });
   
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Confluence API error:', response.status, errorText);
-    throw new Error(`Confluence API error: ${response.status} ${response.statusText}`);
-  }
+  const page = await response.json();
+  await contentCache.set('page', sanitizedPageId, page.version?.number, page);
+  contentCache.markCurrent(sanitizedPageId, page.version?.number);
+  
+  return formatPageBody(page, format);
+}
+
+// Helper: Fetch a page as it was at a given version (historical versions need status=historical)
+async function fetchConfluencePageVersion(pageId, versionNumber) {
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${pageId}?status=historical&version=${versionNumber}&expand=body.storage,version`;
+  
+  console.error(`🕰️ Fetching version ${versionNumber} of page: ${pageId}`);
+  
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
   
   return await response.json();
 }
 
-async function handleConfluenceCreatePage(spaceKey, title, content) {
+async function handleConfluenceCreatePage(spaceKey, title, content, contentFormat = 'storage', parentId = null, labels = null) {
   const sanitizedSpaceKey = validateInput(spaceKey, 'Space key');
   const sanitizedTitle = validateInput(title, 'Title');
-  const sanitizedContent = validateInput(content, 'Content');
+  const sanitizedContent = toStorageContent(validateInput(content, 'Content'), contentFormat);
+  const sanitizedParentId = validateInput(parentId, 'Parent ID', false);
+  const labelNames = labels && labels.length > 0 ? normalizeLabels(labels) : [];
   
-  console.error(`✏️ Creating Confluence page: "${sanitizedTitle}" in space ${sanitizedSpaceKey}`);
+  console.error(`✏️ Creating Confluence page: "${sanitizedTitle}" in space ${sanitizedSpaceKey}${sanitizedParentId ? ` under ${sanitizedParentId}` : ''}`);
   
-  const url = `${process.env.CONFLUENCE_URL}/wiki/rest/api/content`;
+  const url = `${getConfluenceBaseUrl()}/rest/api/content`;
   const body = {
     type: "page",
     title: sanitizedTitle,
     space: { key: sanitizedSpaceKey },
+    ...(sanitizedParentId && { ancestors: [{ id: sanitizedParentId }] }),
+    ...(labelNames.length > 0 && { metadata: { labels: labelNames.map(name => ({ prefix: 'global', name })) } }),
     body: {
       storage: {
         value: sanitizedContent,
@@ -129,39 +530,34 @@ async function handleConfluenceCreatePage(spaceKey, title, content) {
     }
   };
   
-  const response = await fetch(url, {
+  const response = await atlassianRequest(url, {
     method: 'POST',
-    headers: getConfluenceHeaders(),
     body: JSON.stringify(body)
   });
   
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Confluence API error:', response.status, errorText);
-    throw new Error(`Confluence API error: ${response.status} ${response.statusText}`);
-  }
-  
   return await response.json();
 }
 
-async function handleConfluenceUpdatePage(pageId, title, content) {
+async function handleConfluenceUpdatePage(pageId, title, content, contentFormat = 'storage', versionMessage = null) {
   const sanitizedPageId = validateInput(pageId, 'Page ID');
   const sanitizedTitle = validateInput(title, 'Title');
-  const sanitizedContent = validateInput(content, 'Content');
+  const sanitizedContent = toStorageContent(validateInput(content, 'Content'), contentFormat);
+  const sanitizedMessage = validateInput(versionMessage, 'Version message', false);
   
   console.error(`🔄 Updating Confluence page: ${sanitizedPageId}`);
   
   // First get the current page to get the version number
-  const currentPage = await handleConfluenceGetPage(sanitizedPageId);
+  const currentPage = await handleConfluenceGetPage(sanitizedPageId, 'storage', { revalidate: true });
   const currentVersion = currentPage.version.number;
   
-  const url = `${process.env.CONFLUENCE_URL}/wiki/rest/api/content/${sanitizedPageId}`;
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}`;
   const body = {
     id: sanitizedPageId,
     type: "page",
     title: sanitizedTitle,
     version: {
-      number: currentVersion + 1
+      number: currentVersion + 1,
+      ...(sanitizedMessage && { message: sanitizedMessage })
     },
     body: {
       storage: {
@@ -171,17 +567,12 @@ async function handleConfluenceUpdatePage(pageId, title, content) {
     }
   };
   
-  const response = await fetch(url, {
+  const response = await atlassianRequest(url, {
     method: 'PUT',
-    headers: getConfluenceHeaders(),
+    idempotent: false,
     body: JSON.stringify(body)
   });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Confluence API error:', response.status, errorText);
-    throw new Error(`Confluence API error: ${response.status} ${response.statusText}`);
-  }
+  contentCache.invalidate(sanitizedPageId);
   
   return await response.json();
 }
@@ -213,18 +604,21 @@ function calculateContentDiff(originalContent, newContent) {
   };
 }
 
-async function handleConfluencePatchUpdate(pageId, title, newContent, originalVersion = null, forceUpdate = false) {
+async function handleConfluencePatchUpdate(pageId, title, newContent, originalVersion = null, forceUpdate = false, contentFormat = 'storage') {
   const sanitizedPageId = validateInput(pageId, 'Page ID');
   const sanitizedTitle = validateInput(title, 'Title');
-  const sanitizedNewContent = validateInput(newContent, 'New content');
+  const sanitizedNewContent = toStorageContent(validateInput(newContent, 'New content'), contentFormat);
   
   console.error(`🔍 Analyzing changes for page: ${sanitizedPageId}`);
   
   // Get the current page state
-  const currentPage = await handleConfluenceGetPage(sanitizedPageId);
+  const currentPage = await handleConfluenceGetPage(sanitizedPageId, 'storage', { revalidate: true });
   const currentVersion = currentPage.version.number;
   const currentContent = currentPage.body?.storage?.value || '';
   
+  let contentToWrite = sanitizedNewContent;
+  let mergeInfo = null;
+  
   // Check if page has been modified since our original version
   if (originalVersion && originalVersion !== currentVersion && !forceUpdate) {
     console.error(`⚠️ Page has been modified! Original: v${originalVersion}, Current: v${currentVersion}`);
@@ -241,21 +635,39 @@ async function handleConfluencePatchUpdate(pageId, title, newContent, originalVe
       };
     }
     
-    return {
-      ...currentPage,
-      updateStatus: 'conflict-detected',
-      message: `Page was modified by someone else (v${originalVersion} → v${currentVersion}). Use forceUpdate: true to override.`,
-      conflictDetails: {
-        originalVersion,
-        currentVersion,
-        ourChanges: ourChanges.changesSummary,
-        requiresPermission: true
-      }
+    // Merge our edits (base → new content) with theirs (base → current content)
+    const basePage = await fetchConfluencePageVersion(sanitizedPageId, originalVersion);
+    const baseContent = basePage.body?.storage?.value || '';
+    const merge = mergeThreeWay(baseContent, currentContent, sanitizedNewContent);
+    
+    if (!merge.clean) {
+      console.error(`❌ Merge failed: ${merge.conflicts.length} conflicting region(s)`);
+      return {
+        ...currentPage,
+        updateStatus: 'conflict-detected',
+        message: `Page was modified by someone else (v${originalVersion} → v${currentVersion}) and ${merge.conflicts.length} region(s) could not be merged. Resolve the conflicts and retry with originalVersion: ${currentVersion}, or use forceUpdate: true to override.`,
+        conflictDetails: {
+          originalVersion,
+          currentVersion,
+          ourChanges: ourChanges.changesSummary,
+          conflicts: merge.conflicts,
+          mergedWithConflicts: merge.annotated,
+          requiresPermission: true
+        }
+      };
+    }
+    
+    console.error(`🔀 Merged changes from v${originalVersion} onto v${currentVersion} without conflicts`);
+    contentToWrite = merge.merged;
+    mergeInfo = {
+      baseVersion: originalVersion,
+      mergedOntoVersion: currentVersion,
+      ourChanges: ourChanges.changesSummary
     };
   }
   
   // Calculate differences
-  const changes = calculateContentDiff(currentContent, sanitizedNewContent);
+  const changes = calculateContentDiff(currentContent, contentToWrite);
   
   if (!changes.hasChanges) {
     console.error(`✅ No changes needed - content is identical`);
@@ -269,7 +681,7 @@ async function handleConfluencePatchUpdate(pageId, title, newContent, originalVe
   console.error(`📝 Changes detected: ${changes.changesSummary}`);
   
   // Proceed with the update
-  const url = `${process.env.CONFLUENCE_URL}/wiki/rest/api/content/${sanitizedPageId}`;
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}`;
   const body = {
     id: sanitizedPageId,
     type: "page",
@@ -279,248 +691,2571 @@ async function handleConfluencePatchUpdate(pageId, title, newContent, originalVe
     },
     body: {
       storage: {
-        value: sanitizedNewContent,
+        value: contentToWrite,
         representation: "storage"
       }
     }
   };
   
-  const response = await fetch(url, {
+  const response = await atlassianRequest(url, {
     method: 'PUT',
-    headers: getConfluenceHeaders(),
+    idempotent: false,
     body: JSON.stringify(body)
   });
-  
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Confluence API error:', response.status, errorText);
-    throw new Error(`Confluence API error: ${response.status} ${response.statusText}`);
-  }
+  contentCache.invalidate(sanitizedPageId);
   
   const result = await response.json();
   
   return {
     ...result,
-    updateStatus: 'success',
+    updateStatus: mergeInfo ? 'merged' : 'success',
     changes: changes.changesSummary,
     patchInfo: {
       addedLines: changes.addedLines,
       removedLines: changes.removedLines,
       originalVersion: currentVersion,
       newVersion: currentVersion + 1
-    }
+    },
+    ...(mergeInfo && { mergeInfo })
   };
 }
 
-async function handleConfluenceGetAttachments(pageId) {
+const SECTION_MODES = ['replace', 'append', 'prepend', 'delete'];
+
+async function handleConfluenceUpdateSection(pageId, target, mode, content = null, contentFormat = 'storage', title = null) {
   const sanitizedPageId = validateInput(pageId, 'Page ID');
-  const url = `${process.env.CONFLUENCE_URL}/wiki/rest/api/content/${sanitizedPageId}/child/attachment`;
+  const sanitizedHeading = validateInput(target.heading, 'Heading', false);
+  const sanitizedAnchor = validateInput(target.anchor, 'Anchor', false);
+  const sanitizedTitle = validateInput(title, 'Title', false);
   
-  console.error(`📎 Fetching attachments for page: ${sanitizedPageId}`);
+  if (!sanitizedHeading && !sanitizedAnchor) {
+    throw new Error('Either heading or anchor is required');
+  }
+  if (!SECTION_MODES.includes(mode)) {
+    throw new Error(`Mode must be one of: ${SECTION_MODES.join(', ')}`);
+  }
   
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: getConfluenceHeaders()
+  const sectionContent = mode === 'delete'
+    ? ''
+    : toStorageContent(validateInput(content, 'Content'), contentFormat);
+  
+  console.error(`✂️ Updating section "${sanitizedHeading || sanitizedAnchor}" (${mode}) on page: ${sanitizedPageId}`);
+  
+  const currentPage = await handleConfluenceGetPage(sanitizedPageId, 'storage', { revalidate: true });
+  const currentContent = currentPage.body?.storage?.value || '';
+  const section = findStorageSection(currentContent, {
+    heading: sanitizedHeading,
+    anchor: sanitizedAnchor,
+    occurrence: target.occurrence,
+    pageTitle: currentPage.title
   });
   
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Confluence API error:', response.status, errorText);
-    throw new Error(`Confluence API error: ${response.status} ${response.statusText}`);
-  }
+  const before = currentContent.slice(0, section.start);
+  const headingMarkup = currentContent.slice(section.start, section.bodyStart);
+  const body = currentContent.slice(section.bodyStart, section.end);
+  const after = currentContent.slice(section.end);
   
-  return await response.json();
+  const newSection = {
+    replace: headingMarkup + sectionContent,
+    append: headingMarkup + body + sectionContent,
+    prepend: headingMarkup + sectionContent + body,
+    delete: ''
+  }[mode];
+  
+  // Hand over to the patch update so the version bump, diff and conflict check stay in one place
+  const result = await handleConfluencePatchUpdate(
+    sanitizedPageId,
+    sanitizedTitle || currentPage.title,
+    before + newSection + after,
+    currentPage.version.number
+  );
+  
+  return {
+    ...result,
+    sectionUpdate: {
+      heading: section.heading,
+      level: section.level,
+      mode
+    }
+  };
 }
 
-async function handleConfluenceDownloadAttachment(attachmentId, filename) {
-  const sanitizedAttachmentId = validateInput(attachmentId, 'Attachment ID');
-  const sanitizedFilename = validateInput(filename, 'Filename');
-  
-  console.error(`⬇️ Downloading attachment: ${sanitizedFilename} (${sanitizedAttachmentId})`);
+// Helper: Validate a page version number supplied by the caller
+function parseVersionNumber(version, type) {
+  const number = Number(version);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${type} must be a positive integer`);
+  }
+  return number;
+}
+
+// Helper: Break storage onto one block per line so unified diffs stay readable
+function toDiffLines(content) {
+  return splitMergeUnits(content)
+    .map(unit => unit.endsWith('\n') ? unit : `${unit}\n`)
+    .join('');
+}
+
+async function handleConfluenceGetPageVersions(pageId, limit = 25, start = 0) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), 200);
+  const offset = Math.max(parseInt(start, 10) || 0, 0);
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/version?limit=${pageSize}&start=${offset}`;
   
-  const url = `${process.env.CONFLUENCE_URL}/wiki/rest/api/content/${sanitizedAttachmentId}/download`;
+  console.error(`🕰️ Listing versions of page: ${sanitizedPageId}`);
   
-  const response = await fetch(url, {
-    method: 'GET',
-    headers: getConfluenceHeaders()
+  const response = await atlassianRequest(url, {
+    method: 'GET'
   });
   
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error('Confluence API error:', response.status, errorText);
-    throw new Error(`Confluence API error: ${response.status} ${response.statusText}`);
-  }
-  
-  // Convert response to base64 for transport
-  const buffer = await response.buffer();
-  const base64Data = buffer.toString('base64');
+  const data = await response.json();
+  const versions = (data.results || []).map(version => ({
+    number: version.number,
+    author: version.by?.displayName || version.by?.publicName || null,
+    authorAccountId: version.by?.accountId || null,
+    when: version.when,
+    message: version.message || '',
+    minorEdit: version.minorEdit || false
+  }));
   
   return {
-    filename: sanitizedFilename,
-    contentType: response.headers.get('content-type'),
-    size: buffer.length,
-    data: base64Data
+    pageId: sanitizedPageId,
+    versions,
+    start: offset,
+    limit: pageSize,
+    size: versions.length,
+    hasMore: Boolean(data._links?.next)
   };
 }
 
-async function handleConfluenceGetPageWithAttachments(pageId, downloadAttachments = false) {
+async function handleConfluenceGetPageVersion(pageId, version, format = 'storage') {
   const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const versionNumber = parseVersionNumber(version, 'Version');
   
-  // Get the page content
-  const page = await handleConfluenceGetPage(sanitizedPageId);
+  const page = await fetchConfluencePageVersion(sanitizedPageId, versionNumber);
+  return formatPageBody(page, format);
+}
+
+async function handleConfluenceDiffPageVersions(pageId, fromVersion, toVersion = null, format = 'storage') {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const from = parseVersionNumber(fromVersion, 'From version');
   
-  // Get attachments list
-  const attachments = await handleConfluenceGetAttachments(sanitizedPageId);
+  // Without toVersion, compare against the current version
+  const toPage = toVersion === null || toVersion === undefined
+    ? await handleConfluenceGetPage(sanitizedPageId)
+    : await fetchConfluencePageVersion(sanitizedPageId, parseVersionNumber(toVersion, 'To version'));
+  const fromPage = await fetchConfluencePageVersion(sanitizedPageId, from);
+  const to = toPage.version.number;
   
-  // If downloadAttachments is true, download each attachment
-  if (downloadAttachments && attachments.results && attachments.results.length > 0) {
-    console.error(`📦 Downloading ${attachments.results.length} attachments...`);
-    
-    const downloadedAttachments = [];
-    for (const attachment of attachments.results) {
-      try {
-        const downloadedAttachment = await handleConfluenceDownloadAttachment(
-          attachment.id, 
-          attachment.title
-        );
-        downloadedAttachments.push(downloadedAttachment);
-      } catch (error) {
-        console.error(`Failed to download attachment ${attachment.title}:`, error.message);
-        // Continue with other attachments
-      }
-    }
+  console.error(`🔍 Diffing page ${sanitizedPageId}: v${from} → v${to}`);
+  
+  const fromBody = formatPageBody(fromPage, format).body?.[format]?.value || '';
+  const toBody = formatPageBody(toPage, format).body?.[format]?.value || '';
+  const fromLines = format === 'storage' ? toDiffLines(fromBody) : fromBody;
+  const toLines = format === 'storage' ? toDiffLines(toBody) : toBody;
+  const changes = calculateContentDiff(fromLines, toLines);
+  
+  return {
+    pageId: sanitizedPageId,
+    fromVersion: from,
+    toVersion: to,
+    format,
+    titleChanged: fromPage.title !== toPage.title,
+    changes: changes.changesSummary,
+    addedLines: changes.addedLines,
+    removedLines: changes.removedLines,
+    patch: createPatch(`page-${sanitizedPageId}`, fromLines, toLines, `v${from}`, `v${to}`)
+  };
+}
+
+async function handleConfluenceRestorePageVersion(pageId, version, message = null) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const versionNumber = parseVersionNumber(version, 'Version');
+  const sanitizedMessage = validateInput(message, 'Message', false);
+  
+  console.error(`⏪ Restoring page ${sanitizedPageId} to version ${versionNumber}`);
+  
+  // The restore operation is Cloud-only; on Data Center write the old title and body as a new version
+  if (isDataCenter()) {
+    const oldPage = await fetchConfluencePageVersion(sanitizedPageId, versionNumber);
+    const result = await handleConfluenceUpdatePage(
+      sanitizedPageId,
+      oldPage.title,
+      oldPage.body?.storage?.value || '',
+      'storage',
+      sanitizedMessage || `Restored version ${versionNumber}`
+    );
     
     return {
-      ...page,
-      attachments: attachments.results,
-      downloadedAttachments
+      pageId: sanitizedPageId,
+      restoredVersion: versionNumber,
+      newVersion: result.version?.number,
+      message: result.version?.message,
+      when: result.version?.when
     };
   }
   
+  // Confluence restores by copying the old version into a new one, so history is kept
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/version`;
+  const body = {
+    operationKey: 'restore',
+    params: {
+      versionNumber,
+      message: sanitizedMessage || `Restored version ${versionNumber}`,
+      restoreTitle: true
+    }
+  };
+  
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+  contentCache.invalidate(sanitizedPageId);
+  
+  const result = await response.json();
+  
   return {
-    ...page,
-    attachments: attachments.results
+    pageId: sanitizedPageId,
+    restoredVersion: versionNumber,
+    newVersion: result.number,
+    message: result.message,
+    when: result.when
   };
 }
 
-// Create the server
-const server = new Server(
-  {
-    name: "confluence-mcp-server",
-    version: "1.0.0",
-  },
-  {
-    capabilities: {
-      tools: {},
-    },
-  }
-);
+const MAX_TREE_DEPTH = 10;
+const DEFAULT_TREE_MAX_PAGES = 200;
+const MOVE_POSITIONS = ['append', 'before', 'after'];
 
-// Handle tool listing
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+// Helper: Summarize a page for tree/children listings
+function toPageSummary(page) {
   return {
-    tools: [
-      {
-        name: "confluence_search",
-        description: "Search Confluence pages using CQL (Confluence Query Language)",
-        inputSchema: {
-          type: "object",
-          properties: {
-            cql: {
-              type: "string",
-              description: "CQL query string to search for pages"
-            }
-          },
-          required: ["cql"]
-        }
-      },
-      {
-        name: "confluence_get_page",
-        description: "Get a specific Confluence page by ID",
-        inputSchema: {
-          type: "object",
-          properties: {
-            pageId: {
-              type: "string",
-              description: "The ID of the Confluence page to retrieve"
-            }
-          },
-          required: ["pageId"]
-        }
-      },
-      {
-        name: "confluence_create_page",
-        description: "Create a new Confluence page",
-        inputSchema: {
-          type: "object",
+    id: page.id,
+    title: page.title,
+    ...(page.version && { version: page.version.number })
+  };
+}
+
+// Helper: Fetch one page of a page's direct children
+async function fetchChildPages(pageId, limit, start) {
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${pageId}/child/page?limit=${limit}&start=${start}&expand=version`;
+  
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  const data = await response.json();
+  return {
+    results: data.results || [],
+    hasMore: Boolean(data._links?.next)
+  };
+}
+
+async function handleConfluenceGetChildren(pageId, limit = 25, start = 0) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 25, 1), MAX_SEARCH_PAGE_SIZE);
+  const offset = Math.max(parseInt(start, 10) || 0, 0);
+  
+  console.error(`🌳 Listing children of page: ${sanitizedPageId}`);
+  
+  const { results, hasMore } = await fetchChildPages(sanitizedPageId, pageSize, offset);
+  
+  return {
+    pageId: sanitizedPageId,
+    children: results.map(toPageSummary),
+    start: offset,
+    limit: pageSize,
+    size: results.length,
+    hasMore
+  };
+}
+
+async function handleConfluenceGetPageTree(pageId, depth = 2, maxPages = DEFAULT_TREE_MAX_PAGES) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const maxDepth = Math.min(Math.max(parseInt(depth, 10) || 2, 1), MAX_TREE_DEPTH);
+  const pageLimit = Math.max(parseInt(maxPages, 10) || DEFAULT_TREE_MAX_PAGES, 1);
+  
+  console.error(`🌳 Walking page tree from ${sanitizedPageId} (depth ${maxDepth})`);
+  
+  const rootUrl = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}?expand=ancestors,version,space`;
+  const rootResponse = await atlassianRequest(rootUrl, {
+    method: 'GET'
+  });
+  const rootPage = await rootResponse.json();
+  
+  const root = { ...toPageSummary(rootPage), children: [] };
+  const { pageCount, truncated } = await addChildPages([root], maxDepth, pageLimit);
+  
+  return {
+    root,
+    ancestors: (rootPage.ancestors || []).map(toPageSummary),
+    space: rootPage.space?.key,
+    depth: maxDepth,
+    pageCount,
+    truncated
+  };
+}
+
+// Helper: Fill in `children` of the given tree nodes, down to maxDepth levels below them.
+// Breadth-first, so hitting pageLimit (counted from pageCount) drops the deepest levels first.
+async function addChildPages(nodes, maxDepth, pageLimit, pageCount = 0) {
+  let truncated = false;
+  
+  const queue = nodes.map(node => ({ node, level: 1 }));
+  while (queue.length > 0 && !truncated) {
+    const { node, level } = queue.shift();
+    let start = 0;
+    let hasMore = true;
+    
+    while (hasMore) {
+      const remaining = pageLimit - pageCount;
+      if (remaining <= 0) {
+        truncated = true;
+        break;
+      }
+      
+      const batch = await fetchChildPages(node.id, Math.min(remaining, 100), start);
+      for (const child of batch.results) {
+        const childNode = toPageSummary(child);
+        if (level < maxDepth) {
+          childNode.children = [];
+          queue.push({ node: childNode, level: level + 1 });
+        }
+        node.children.push(childNode);
+      }
+      pageCount += batch.results.length;
+      start += batch.results.length;
+      hasMore = batch.hasMore && batch.results.length > 0;
+    }
+  }
+  
+  return { pageCount, truncated };
+}
+
+// Helper: Data Center has no move endpoint. A page can still be re-parented by updating its
+// ancestors (which needs a new version), but siblings cannot be reordered.
+async function moveDataCenterPage(pageId, targetId, position) {
+  if (position !== 'append') {
+    throw new Error('Only position "append" (re-parenting) is supported on Confluence Data Center; reordering siblings needs Confluence Cloud');
+  }
+  
+  const currentPage = await handleConfluenceGetPage(pageId, 'storage', { revalidate: true });
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${pageId}`;
+  const response = await atlassianRequest(url, {
+    method: 'PUT',
+    idempotent: false,
+    body: JSON.stringify({
+      id: pageId,
+      type: 'page',
+      title: currentPage.title,
+      ancestors: [{ id: targetId }],
+      version: { number: currentPage.version.number + 1 },
+      body: { storage: { value: currentPage.body?.storage?.value || '', representation: 'storage' } }
+    })
+  });
+  contentCache.invalidate(pageId);
+  
+  return {
+    ...await response.json(),
+    pageId,
+    targetId,
+    position
+  };
+}
+
+async function handleConfluenceMovePage(pageId, targetId, position = 'append') {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const sanitizedTargetId = validateInput(targetId, 'Target page ID');
+  
+  if (!MOVE_POSITIONS.includes(position)) {
+    throw new Error(`Position must be one of: ${MOVE_POSITIONS.join(', ')}`);
+  }
+  if (sanitizedPageId === sanitizedTargetId) {
+    throw new Error('A page cannot be moved relative to itself');
+  }
+  
+  console.error(`🚚 Moving page ${sanitizedPageId} (${position} ${sanitizedTargetId})`);
+  
+  if (isDataCenter()) {
+    return await moveDataCenterPage(sanitizedPageId, sanitizedTargetId, position);
+  }
+  
+  // append makes the page the last child of the target; before/after make it a sibling
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/move/${position}/${sanitizedTargetId}`;
+  
+  const response = await atlassianRequest(url, {
+    method: 'PUT'
+  });
+  // A move can change the page's space, which cached copies include, without a new version
+  await contentCache.evict(sanitizedPageId);
+  
+  const result = await response.json();
+  
+  return {
+    ...result,
+    pageId: sanitizedPageId,
+    targetId: sanitizedTargetId,
+    position
+  };
+}
+
+const SPACE_TYPES = ['global', 'personal'];
+const SPACE_STATUSES = ['current', 'archived'];
+
+// Helper: Space fields an agent needs to pick where a page goes
+function toSpaceSummary(space) {
+  return {
+    key: space.key,
+    name: space.name,
+    type: space.type,
+    status: space.status,
+    description: space.description?.plain?.value || '',
+    homepageId: space.homepage?.id || null
+  };
+}
+
+async function handleConfluenceListSpaces(options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 25, 1), MAX_SEARCH_PAGE_SIZE);
+  const start = Math.max(parseInt(options.start, 10) || 0, 0);
+  
+  if (options.type && !SPACE_TYPES.includes(options.type)) {
+    throw new Error(`Type must be one of: ${SPACE_TYPES.join(', ')}`);
+  }
+  if (options.status && !SPACE_STATUSES.includes(options.status)) {
+    throw new Error(`Status must be one of: ${SPACE_STATUSES.join(', ')}`);
+  }
+  
+  const params = new URLSearchParams({
+    limit: String(limit),
+    start: String(start),
+    expand: 'description.plain,homepage'
+  });
+  if (options.type) {
+    params.set('type', options.type);
+  }
+  if (options.status) {
+    params.set('status', options.status);
+  }
+  if (options.favourite) {
+    params.set('favourite', 'true');
+  }
+  
+  console.error(`🗂️ Listing Confluence spaces (${params.toString()})`);
+  
+  const url = `${getConfluenceBaseUrl()}/rest/api/space?${params.toString()}`;
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  const data = await response.json();
+  const spaces = (data.results || []).map(toSpaceSummary);
+  
+  return {
+    spaces,
+    start,
+    limit,
+    size: spaces.length,
+    hasMore: Boolean(data._links?.next)
+  };
+}
+
+async function handleConfluenceGetSpace(spaceKey, depth = 1, maxPages = DEFAULT_TREE_MAX_PAGES) {
+  const sanitizedSpaceKey = validateInput(spaceKey, 'Space key');
+  
+  console.error(`🗂️ Fetching Confluence space: ${sanitizedSpaceKey}`);
+  
+  const url = `${getConfluenceBaseUrl()}/rest/api/space/${encodeURIComponent(sanitizedSpaceKey)}?expand=description.plain,homepage`;
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  const space = toSpaceSummary(await response.json());
+  const maxDepth = Math.min(Math.max(parseInt(depth, 10) || 1, 1), MAX_TREE_DEPTH);
+  const pageLimit = Math.max(parseInt(maxPages, 10) || DEFAULT_TREE_MAX_PAGES, 1);
+  
+  // Top-level pages are the space's root pages: the homepage and its siblings, such as
+  // pages created without a parent. They are not children of the homepage.
+  const pages = [];
+  let truncated = false;
+  for (let start = 0; ; ) {
+    const remaining = pageLimit - pages.length;
+    if (remaining <= 0) {
+      truncated = true;
+      break;
+    }
+    
+    const rootsUrl = `${getConfluenceBaseUrl()}/rest/api/space/${encodeURIComponent(sanitizedSpaceKey)}/content/page?depth=root&limit=${Math.min(remaining, 100)}&start=${start}&expand=version`;
+    const rootsResponse = await atlassianRequest(rootsUrl, {
+      method: 'GET'
+    });
+    const data = await rootsResponse.json();
+    const results = data.results || [];
+    for (const page of results) {
+      pages.push({
+        ...toPageSummary(page),
+        ...(page.id === space.homepageId && { isHomepage: true }),
+        ...(maxDepth > 1 && { children: [] })
+      });
+    }
+    start += results.length;
+    
+    if (!data._links?.next || results.length === 0) {
+      break;
+    }
+  }
+  
+  let pageCount = pages.length;
+  if (maxDepth > 1 && !truncated) {
+    ({ pageCount, truncated } = await addChildPages(pages, maxDepth - 1, pageLimit, pageCount));
+  }
+  
+  return {
+    ...space,
+    pages,
+    depth: maxDepth,
+    pageCount,
+    truncated
+  };
+}
+
+// Helper: Accept labels as an array or a comma-separated string. Confluence stores
+// labels in lower case and does not allow spaces in them.
+function normalizeLabels(labels) {
+  const list = Array.isArray(labels) ? labels : String(labels || '').split(',');
+  const normalized = list
+    .map(label => validateInput(label, 'Label', false))
+    .filter(Boolean)
+    .map(label => label.toLowerCase());
+  
+  const invalid = normalized.filter(label => /\s/.test(label));
+  if (invalid.length > 0) {
+    throw new Error(`Labels cannot contain spaces: ${invalid.join(', ')}`);
+  }
+  if (normalized.length === 0) {
+    throw new Error('At least one label is required');
+  }
+  return [...new Set(normalized)];
+}
+
+// Helper: Label objects as returned to the caller
+function toLabelList(data) {
+  return (data.results || []).map(label => ({
+    name: label.name,
+    prefix: label.prefix,
+    id: label.id
+  }));
+}
+
+async function handleConfluenceGetLabels(pageId) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/label?limit=200`;
+  
+  console.error(`🏷️ Fetching labels for page: ${sanitizedPageId}`);
+  
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  const labels = toLabelList(await response.json());
+  
+  return {
+    pageId: sanitizedPageId,
+    labels,
+    size: labels.length
+  };
+}
+
+async function handleConfluenceAddLabels(pageId, labels) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const names = normalizeLabels(labels);
+  
+  console.error(`🏷️ Adding labels to page ${sanitizedPageId}: ${names.join(', ')}`);
+  
+  // Adding a label the page already has is a no-op, so this is safe to repeat
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/label`;
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify(names.map(name => ({ prefix: 'global', name })))
+  });
+  
+  const current = toLabelList(await response.json());
+  
+  return {
+    pageId: sanitizedPageId,
+    added: names,
+    labels: current
+  };
+}
+
+async function handleConfluenceRemoveLabels(pageId, labels) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const names = normalizeLabels(labels);
+  
+  console.error(`🏷️ Removing labels from page ${sanitizedPageId}: ${names.join(', ')}`);
+  
+  const removed = [];
+  const notFound = [];
+  for (const name of names) {
+    // The query-parameter form also works for labels containing "/"
+    const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/label?name=${encodeURIComponent(name)}`;
+    try {
+      await atlassianRequest(url, {
+        method: 'DELETE'
+      });
+      removed.push(name);
+    } catch (error) {
+      if (error instanceof AtlassianApiError && error.status === 404) {
+        notFound.push(name);
+        continue;
+      }
+      throw error;
+    }
+  }
+  
+  return {
+    pageId: sanitizedPageId,
+    removed,
+    notFound
+  };
+}
+
+async function handleConfluenceFindPagesByLabel(labels, options = {}) {
+  const names = normalizeLabels(labels);
+  const sanitizedSpaceKey = validateInput(options.spaceKey, 'Space key', false);
+  
+  const quoted = names.map(name => `"${name.replace(/"/g, '\\"')}"`);
+  const labelClause = options.matchAll
+    ? quoted.map(name => `label = ${name}`).join(' AND ')
+    : `label in (${quoted.join(',')})`;
+  const spaceClause = sanitizedSpaceKey ? ` AND space = "${sanitizedSpaceKey}"` : '';
+  
+  return await handleConfluenceSearch(`type = page AND ${labelClause}${spaceClause} ORDER BY lastmodified DESC`, {
+    limit: options.limit,
+    cursor: options.cursor,
+    expand: 'space,metadata.labels'
+  });
+}
+
+const COMMENT_LOCATIONS = ['all', 'footer', 'inline'];
+const MAX_COMMENTS = 500;
+
+// Helper: Flatten a Confluence comment into what the caller needs to follow a review thread
+function toCommentSummary(comment, format) {
+  const formatted = formatPageBody(comment, format);
+  const inline = comment.extensions?.location === 'inline';
+  const resolution = comment.extensions?.resolution;
+  
+  return {
+    id: comment.id,
+    location: comment.extensions?.location || 'footer',
+    author: comment.history?.createdBy?.displayName || comment.version?.by?.displayName || null,
+    created: comment.history?.createdDate || comment.version?.when || null,
+    version: comment.version?.number,
+    body: formatted.body?.[format]?.value || '',
+    ...(inline && {
+      anchorText: comment.extensions?.inlineProperties?.originalSelection || null,
+      resolved: (typeof resolution === 'string' ? resolution : resolution?.status) === 'resolved'
+    }),
+    replies: []
+  };
+}
+
+async function handleConfluenceGetComments(pageId, location = 'all', format = 'storage', includeResolved = true) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  if (!COMMENT_LOCATIONS.includes(location)) {
+    throw new Error(`Location must be one of: ${COMMENT_LOCATIONS.join(', ')}`);
+  }
+  
+  console.error(`💬 Fetching ${location} comments for page: ${sanitizedPageId}`);
+  
+  // depth=all returns replies too; each reply lists its parent comments in `ancestors`
+  const params = new URLSearchParams({
+    depth: 'all',
+    limit: '100',
+    expand: 'body.storage,version,history,ancestors,extensions.inlineProperties,extensions.resolution'
+  });
+  for (const value of location === 'all' ? ['footer', 'inline'] : [location]) {
+    params.append('location', value);
+  }
+  
+  const comments = [];
+  let truncated = false;
+  for (let start = 0; ; ) {
+    params.set('start', String(start));
+    const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/child/comment?${params.toString()}`;
+    const response = await atlassianRequest(url, {
+      method: 'GET'
+    });
+    const data = await response.json();
+    const results = data.results || [];
+    comments.push(...results);
+    start += results.length;
+    
+    if (!data._links?.next || results.length === 0) {
+      break;
+    }
+    if (comments.length >= MAX_COMMENTS) {
+      truncated = true;
+      break;
+    }
+  }
+  
+  // Rebuild the threads: a reply hangs off the nearest ancestor that is a comment on this page
+  const nodes = new Map(comments.map(comment => [comment.id, toCommentSummary(comment, format)]));
+  const threads = [];
+  for (const comment of comments) {
+    const parent = [...(comment.ancestors || [])].reverse().find(ancestor => nodes.has(ancestor.id));
+    if (parent) {
+      nodes.get(parent.id).replies.push(nodes.get(comment.id));
+    } else {
+      threads.push(nodes.get(comment.id));
+    }
+  }
+  
+  const visibleThreads = includeResolved ? threads : threads.filter(thread => !thread.resolved);
+  
+  return {
+    pageId: sanitizedPageId,
+    threads: visibleThreads,
+    commentCount: comments.length,
+    truncated
+  };
+}
+
+// Helper: Shape a comment created or updated through the v2 API
+function toWrittenComment(comment, location) {
+  return {
+    id: comment.id,
+    location,
+    pageId: comment.pageId,
+    parentCommentId: comment.parentCommentId,
+    version: comment.version?.number,
+    ...(comment.resolutionStatus && { resolved: comment.resolutionStatus === 'resolved' }),
+    webui: comment._links?.webui
+  };
+}
+
+// Helper: Data Center has no v2 comments API, so comments are created as v1 content.
+// Replies name their parent comment as the only ancestor.
+async function createDataCenterComment(pageId, parentCommentId, content, location = 'footer') {
+  const url = `${getConfluenceBaseUrl()}/rest/api/content`;
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify({
+      type: 'comment',
+      container: { id: pageId, type: 'page' },
+      ...(parentCommentId && { ancestors: [{ id: parentCommentId }] }),
+      body: { storage: { value: content, representation: 'storage' } }
+    })
+  });
+  
+  return toWrittenComment({ ...await response.json(), pageId, parentCommentId }, location);
+}
+
+async function handleConfluenceAddComment(pageId, content, contentFormat = 'storage') {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const sanitizedContent = toStorageContent(validateInput(content, 'Content'), contentFormat);
+  
+  console.error(`💬 Adding footer comment to page: ${sanitizedPageId}`);
+  
+  if (isDataCenter()) {
+    return await createDataCenterComment(sanitizedPageId, null, sanitizedContent);
+  }
+  
+  const url = `${getConfluenceBaseUrl()}/api/v2/footer-comments`;
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify({
+      pageId: sanitizedPageId,
+      body: { representation: 'storage', value: sanitizedContent }
+    })
+  });
+  
+  return toWrittenComment(await response.json(), 'footer');
+}
+
+async function handleConfluenceReplyToComment(commentId, content, contentFormat = 'storage') {
+  const sanitizedCommentId = validateInput(commentId, 'Comment ID');
+  const sanitizedContent = toStorageContent(validateInput(content, 'Content'), contentFormat);
+  
+  // Footer and inline replies live under different endpoints, so look up the parent first
+  const parentResponse = await atlassianRequest(`${getConfluenceBaseUrl()}/rest/api/content/${sanitizedCommentId}?expand=extensions`, {
+    method: 'GET'
+  });
+  const parent = await parentResponse.json();
+  if (parent.type && parent.type !== 'comment') {
+    throw new Error(`Content ${sanitizedCommentId} is a ${parent.type}, not a comment`);
+  }
+  const location = parent.extensions?.location === 'inline' ? 'inline' : 'footer';
+  
+  console.error(`💬 Replying to ${location} comment: ${sanitizedCommentId}`);
+  
+  if (isDataCenter()) {
+    const pageResponse = await atlassianRequest(`${getConfluenceBaseUrl()}/rest/api/content/${sanitizedCommentId}?expand=container`, {
+      method: 'GET'
+    });
+    const pageId = (await pageResponse.json()).container?.id;
+    return await createDataCenterComment(pageId, sanitizedCommentId, sanitizedContent, location);
+  }
+  
+  const url = `${getConfluenceBaseUrl()}/api/v2/${location}-comments`;
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify({
+      parentCommentId: sanitizedCommentId,
+      body: { representation: 'storage', value: sanitizedContent }
+    })
+  });
+  
+  return toWrittenComment(await response.json(), location);
+}
+
+async function handleConfluenceResolveComment(commentId, resolved = true) {
+  const sanitizedCommentId = validateInput(commentId, 'Comment ID');
+  if (isDataCenter()) {
+    throw new Error('Resolving inline comments is only available on Confluence Cloud; the Data Center REST API has no endpoint for it');
+  }
+  const url = `${getConfluenceBaseUrl()}/api/v2/inline-comments/${sanitizedCommentId}`;
+  
+  console.error(`💬 ${resolved ? 'Resolving' : 'Reopening'} inline comment: ${sanitizedCommentId}`);
+  
+  // The update must resend the body and bump the version, even when only the state changes
+  const currentResponse = await atlassianRequest(`${url}?body-format=storage`, {
+    method: 'GET'
+  });
+  const current = await currentResponse.json();
+  
+  const response = await atlassianRequest(url, {
+    method: 'PUT',
+    idempotent: false,
+    body: JSON.stringify({
+      version: { number: current.version.number + 1 },
+      body: { representation: 'storage', value: current.body?.storage?.value || '' },
+      resolved
+    })
+  });
+  
+  return toWrittenComment(await response.json(), 'inline');
+}
+
+// Pages rarely have more attachments than this; the listing is marked truncated past it
+const MAX_ATTACHMENTS = 1000;
+
+async function handleConfluenceGetAttachments(pageId) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  
+  console.error(`📎 Fetching attachments for page: ${sanitizedPageId}`);
+  
+  // The API returns 25 attachments per request by default; follow the pages to get them all
+  const attachments = [];
+  let truncated = false;
+  for (let start = 0; ; ) {
+    const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/child/attachment?limit=100&start=${start}&expand=version`;
+    const response = await atlassianRequest(url, {
+      method: 'GET'
+    });
+    const data = await response.json();
+    const results = data.results || [];
+    attachments.push(...results);
+    start += results.length;
+    
+    if (!data._links?.next || results.length === 0) {
+      break;
+    }
+    if (attachments.length >= MAX_ATTACHMENTS) {
+      truncated = true;
+      break;
+    }
+  }
+  
+  return {
+    results: attachments,
+    size: attachments.length,
+    truncated
+  };
+}
+
+// Downloads saved to disk land here; anything larger than the cap is refused
+const ATTACHMENT_DOWNLOAD_DIR = path.resolve(process.env.ATTACHMENT_DOWNLOAD_DIR || 'confluence_downloads');
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 100 * 1024 * 1024;
+
+// Images of these types are returned as MCP image content, scaled down so the
+// longest side is at most IMAGE_MAX_DIMENSION pixels (0 keeps the original size)
+const INLINE_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION, 10) >= 0 ? parseInt(process.env.IMAGE_MAX_DIMENSION, 10) : 1568;
+
+// Results carry image blocks under this key; JSON.stringify skips symbol keys,
+// so they stay out of the text summary
+const IMAGE_CONTENT = Symbol('imageContent');
+
+// Helper: Downscale an image to fit maxDimension and describe it for the text summary
+async function toImageContent(buffer, mimeType, maxDimension) {
+  let data = buffer;
+  let metadata = {};
+  let resized = false;
+  
+  try {
+    const image = sharp(buffer, { animated: mimeType === 'image/gif' || mimeType === 'image/webp' });
+    metadata = await image.metadata();
+    const height = metadata.pageHeight || metadata.height;
+    
+    if (maxDimension > 0 && Math.max(metadata.width, height) > maxDimension) {
+      const output = await image
+        .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true })
+        .toBuffer({ resolveWithObject: true });
+      data = output.data;
+      metadata = { ...metadata, width: output.info.width, pageHeight: output.info.pageHeight, height: output.info.height };
+      resized = true;
+    }
+  } catch (error) {
+    // Undecodable images are passed through untouched; the client may still render them
+    console.error(`⚠️ Could not process image, sending it as-is: ${error.message}`);
+  }
+  
+  return {
+    block: {
+      type: "image",
+      data: data.toString('base64'),
+      mimeType
+    },
+    summary: {
+      width: metadata.width,
+      height: metadata.pageHeight || metadata.height,
+      resized,
+      ...(resized && { returnedSize: data.length })
+    }
+  };
+}
+
+// Helper: Turn an attachment title into a filename that stays inside the download directory
+function toSafeFilename(filename, fallback) {
+  const safe = path.basename(filename.replace(/\\/g, '/'))
+    .replace(/[<>:"|?*\x00-\x1f]/g, '_')
+    .replace(/^[.\s]+/, '')
+    .trim()
+    .slice(0, 200);
+  return safe || fallback;
+}
+
+// Helper: Pick a path in dir that doesn't exist yet ("name.ext", "name-1.ext", ...)
+async function getAvailableFilePath(dir, filename) {
+  const ext = path.extname(filename);
+  const stem = filename.slice(0, filename.length - ext.length);
+  
+  for (let suffix = 0; ; suffix++) {
+    const candidate = path.join(dir, suffix === 0 ? filename : `${stem}-${suffix}${ext}`);
+    try {
+      await fs.promises.access(candidate);
+    } catch {
+      return candidate;
+    }
+  }
+}
+
+// Helper: Stream a response body to a file, hashing as it goes and aborting past maxBytes
+async function streamResponseToFile(response, filePath, maxBytes) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  
+  const guard = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxBytes) {
+        callback(new Error(`Attachment exceeds the ${maxBytes} byte limit (ATTACHMENT_MAX_BYTES)`));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    }
+  });
+  
+  // Write to a temporary name so a failed download never leaves a truncated file behind
+  const partialPath = `${filePath}.part`;
+  try {
+    await pipeline(response.body, guard, fs.createWriteStream(partialPath, { flags: 'wx' }));
+    await fs.promises.rename(partialPath, filePath);
+  } catch (error) {
+    await fs.promises.unlink(partialPath).catch(() => {});
+    throw error;
+  }
+  
+  return { size, sha256: hash.digest('hex') };
+}
+
+// Helper: Where an attachment's bytes are served. Data Center has no download endpoint by
+// attachment ID, so its download link is read from the attachment itself.
+async function getAttachmentDownloadUrl(attachmentId) {
+  if (!isDataCenter()) {
+    return `${getConfluenceBaseUrl()}/rest/api/content/${attachmentId}/download`;
+  }
+  
+  const response = await atlassianRequest(`${getConfluenceBaseUrl()}/rest/api/content/${attachmentId}`, {
+    method: 'GET'
+  });
+  const attachment = await response.json();
+  if (!attachment._links?.download) {
+    throw new Error(`Content ${attachmentId} is not an attachment`);
+  }
+  return `${getConfluenceBaseUrl()}${attachment._links.download}`;
+}
+
+// Helper: Attachment bytes for in-memory downloads, cached by attachment version.
+// Callers that already listed the attachment pass its version to skip the version check.
+async function fetchAttachmentBlob(attachmentId, version = null) {
+  if (contentCache.enabled && !version) {
+    version = await fetchContentVersion(attachmentId);
+  }
+  const cached = await contentCache.get('attachment', attachmentId, version);
+  if (cached) {
+    console.error(`⚡ Using cached attachment: ${attachmentId} (v${version})`);
+    return cached;
+  }
+  
+  const url = await getAttachmentDownloadUrl(attachmentId);
+  const response = await atlassianRequest(url, {
+    method: 'GET',
+    timeoutMs: DOWNLOAD_TIMEOUT_MS
+  });
+  
+  const blob = {
+    buffer: await response.buffer(),
+    contentType: response.headers.get('content-type')
+  };
+  await contentCache.set('attachment', attachmentId, version, blob);
+  return blob;
+}
+
+async function handleConfluenceDownloadAttachment(attachmentId, filename, saveToDisk = false, maxImageSize = IMAGE_MAX_DIMENSION, version = null) {
+  const sanitizedAttachmentId = validateInput(attachmentId, 'Attachment ID');
+  const sanitizedFilename = validateInput(filename, 'Filename');
+  
+  console.error(`⬇️ Downloading attachment: ${sanitizedFilename} (${sanitizedAttachmentId})`);
+  
+  // Files saved to disk are streamed straight through and never cached
+  if (saveToDisk) {
+    const url = await getAttachmentDownloadUrl(sanitizedAttachmentId);
+    const response = await atlassianRequest(url, {
+      method: 'GET',
+      timeoutMs: DOWNLOAD_TIMEOUT_MS
+    });
+    
+    const declaredSize = parseInt(response.headers.get('content-length'), 10);
+    if (declaredSize > ATTACHMENT_MAX_BYTES) {
+      // Abort the transfer rather than reading an oversize body off the network
+      response.body.destroy();
+      throw new Error(`Attachment is ${declaredSize} bytes, over the ${ATTACHMENT_MAX_BYTES} byte limit (ATTACHMENT_MAX_BYTES)`);
+    }
+    
+    await fs.promises.mkdir(ATTACHMENT_DOWNLOAD_DIR, { recursive: true });
+    const filePath = await getAvailableFilePath(
+      ATTACHMENT_DOWNLOAD_DIR,
+      toSafeFilename(sanitizedFilename, `attachment-${sanitizedAttachmentId}`)
+    );
+    const { size, sha256 } = await streamResponseToFile(response, filePath, ATTACHMENT_MAX_BYTES);
+    
+    console.error(`💾 Saved ${size} bytes to ${filePath}`);
+    
+    return {
+      filename: sanitizedFilename,
+      path: filePath,
+      contentType: response.headers.get('content-type'),
+      size,
+      sha256
+    };
+  }
+  
+  const { buffer, contentType } = await fetchAttachmentBlob(sanitizedAttachmentId, version);
+  
+  // Images go back as image content the model can see; the text part is only a summary
+  const mediaType = (contentType || '').split(';')[0].trim().toLowerCase();
+  const imageType = INLINE_IMAGE_TYPES.includes(mediaType) ? mediaType : getAttachmentMediaType(sanitizedFilename);
+  if (INLINE_IMAGE_TYPES.includes(imageType)) {
+    const image = await toImageContent(buffer, imageType, maxImageSize);
+    return {
+      filename: sanitizedFilename,
+      contentType: imageType,
+      size: buffer.length,
+      returnedAs: 'image',
+      ...image.summary,
+      [IMAGE_CONTENT]: [image.block]
+    };
+  }
+  
+  // Convert response to base64 for transport
+  const base64Data = buffer.toString('base64');
+  
+  return {
+    filename: sanitizedFilename,
+    contentType,
+    size: buffer.length,
+    data: base64Data
+  };
+}
+
+// Media types for common attachment extensions; anything else is sent as octet-stream
+const ATTACHMENT_MEDIA_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.zip': 'application/zip',
+  '.drawio': 'application/vnd.jgraph.mxfile',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+function getAttachmentMediaType(filename) {
+  return ATTACHMENT_MEDIA_TYPES[path.extname(filename).toLowerCase()] || 'application/octet-stream';
+}
+
+// Helper: Escape a value for use inside an XML attribute
+function escapeXmlAttribute(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// Helper: Build a multipart/form-data body with text fields and a single file part
+function buildMultipartBody(fields, file) {
+  const boundary = `----confluence-mcp-${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+  
+  for (const [name, value] of Object.entries(fields)) {
+    parts.push(Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+    ));
+  }
+  
+  const quotedFilename = file.filename.replace(/["\r\n]/g, '_');
+  parts.push(Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${quotedFilename}"\r\n` +
+    `Content-Type: ${file.contentType}\r\n\r\n`
+  ));
+  parts.push(file.data);
+  parts.push(Buffer.from(`\r\n--${boundary}--\r\n`));
+  
+  return {
+    body: Buffer.concat(parts),
+    contentType: `multipart/form-data; boundary=${boundary}`
+  };
+}
+
+// Helper: Find a page's attachment by exact filename
+async function findAttachmentByFilename(pageId, filename) {
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${pageId}/child/attachment?filename=${encodeURIComponent(filename)}`;
+  
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  return (await response.json()).results?.[0];
+}
+
+// Uploads by filePath may only read files inside this directory; without it, filePath is refused
+const ATTACHMENT_UPLOAD_DIR = process.env.ATTACHMENT_UPLOAD_DIR ? path.resolve(process.env.ATTACHMENT_UPLOAD_DIR) : null;
+const USE_HTTP_TRANSPORT = process.argv.includes('--http') || process.env.MCP_TRANSPORT === 'http';
+
+// Helper: Resolve an upload filePath to a real file inside ATTACHMENT_UPLOAD_DIR. Symlinks are
+// followed before the check, so a link inside the directory cannot point at .env elsewhere.
+// Over HTTP, the caller is not on the server's machine and must send base64 data instead.
+async function resolveUploadFilePath(filePath) {
+  if (USE_HTTP_TRANSPORT) {
+    throw new Error('filePath is not accepted when the server runs over HTTP; send the file as base64 data');
+  }
+  if (!ATTACHMENT_UPLOAD_DIR) {
+    throw new Error('filePath uploads are disabled; set ATTACHMENT_UPLOAD_DIR to the directory files may be uploaded from, or send base64 data');
+  }
+  
+  const uploadDir = await fs.promises.realpath(ATTACHMENT_UPLOAD_DIR);
+  let realPath;
+  try {
+    realPath = await fs.promises.realpath(path.resolve(uploadDir, filePath));
+  } catch (error) {
+    throw new Error(`File not found in ATTACHMENT_UPLOAD_DIR: ${filePath}`);
+  }
+  if (!realPath.startsWith(uploadDir + path.sep)) {
+    throw new Error(`filePath must be inside ATTACHMENT_UPLOAD_DIR (${ATTACHMENT_UPLOAD_DIR})`);
+  }
+  
+  const stat = await fs.promises.stat(realPath);
+  if (!stat.isFile()) {
+    throw new Error(`Not a file: ${filePath}`);
+  }
+  if (stat.size > ATTACHMENT_MAX_BYTES) {
+    throw new Error(`File is ${stat.size} bytes, over the ${ATTACHMENT_MAX_BYTES} byte limit (ATTACHMENT_MAX_BYTES)`);
+  }
+  return realPath;
+}
+
+async function handleConfluenceUploadAttachment(pageId, filename, options = {}) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const sanitizedFilePath = validateInput(options.filePath, 'File path', false);
+  const sanitizedComment = validateInput(options.comment, 'Comment', false);
+  let sanitizedFilename = validateInput(filename, 'Filename', !sanitizedFilePath);
+  
+  // Exactly one source: inline base64 data or a file on the server's disk
+  if (options.data && sanitizedFilePath) {
+    throw new Error('Pass either data or filePath, not both');
+  }
+  
+  let data;
+  if (sanitizedFilePath) {
+    data = await fs.promises.readFile(await resolveUploadFilePath(sanitizedFilePath));
+    sanitizedFilename = sanitizedFilename || path.basename(sanitizedFilePath);
+  } else {
+    if (!options.data || typeof options.data !== 'string') {
+      throw new Error('Either data (base64) or filePath is required');
+    }
+    // Checked before decoding, so an oversize payload is never copied into a buffer
+    const decodedSize = Buffer.byteLength(options.data, 'base64');
+    if (decodedSize > ATTACHMENT_MAX_BYTES) {
+      throw new Error(`File is ${decodedSize} bytes, over the ${ATTACHMENT_MAX_BYTES} byte limit (ATTACHMENT_MAX_BYTES)`);
+    }
+    data = Buffer.from(options.data, 'base64');
+  }
+  
+  if (data.length === 0) {
+    throw new Error('Attachment is empty');
+  }
+  
+  const contentType = validateInput(options.contentType, 'Content type', false) || getAttachmentMediaType(sanitizedFilename);
+  const baseUrl = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}/child/attachment`;
+  
+  // Uploading a filename that already exists must go to that attachment's /data endpoint
+  const existing = await findAttachmentByFilename(sanitizedPageId, sanitizedFilename);
+  
+  console.error(`⬆️ ${existing ? 'Updating' : 'Uploading'} attachment: ${sanitizedFilename} (${data.length} bytes) on page ${sanitizedPageId}`);
+  
+  const fields = { minorEdit: options.minorEdit === false ? 'false' : 'true' };
+  if (sanitizedComment) {
+    fields.comment = sanitizedComment;
+  }
+  const multipart = buildMultipartBody(fields, { filename: sanitizedFilename, contentType, data });
+  
+  const url = existing ? `${baseUrl}/${existing.id}/data` : baseUrl;
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': multipart.contentType,
+      'X-Atlassian-Token': 'no-check'
+    },
+    body: multipart.body,
+    timeoutMs: DOWNLOAD_TIMEOUT_MS
+  });
+  
+  // Creating returns a result list, updating returns the attachment itself
+  const result = await response.json();
+  const attachment = result.results ? result.results[0] : result;
+  const escapedFilename = escapeXmlAttribute(sanitizedFilename);
+  
+  return {
+    status: existing ? 'updated' : 'created',
+    id: attachment.id,
+    title: attachment.title,
+    version: attachment.version?.number,
+    mediaType: attachment.extensions?.mediaType || contentType,
+    fileSize: attachment.extensions?.fileSize || data.length,
+    comment: attachment.extensions?.comment || sanitizedComment || null,
+    downloadLink: attachment._links?.download,
+    // Ready-made storage markup for referencing the attachment on the page
+    storageMarkup: contentType.startsWith('image/')
+      ? `<ac:image><ri:attachment ri:filename="${escapedFilename}" /></ac:image>`
+      : `<ac:link><ri:attachment ri:filename="${escapedFilename}" /></ac:link>`
+  };
+}
+
+async function handleConfluenceGetPageWithAttachments(pageId, downloadAttachments = false, format = 'storage', saveToDisk = false, maxImageSize = IMAGE_MAX_DIMENSION) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  
+  // Get the page content
+  const page = await handleConfluenceGetPage(sanitizedPageId, format);
+  
+  // Get attachments list
+  const attachments = await handleConfluenceGetAttachments(sanitizedPageId);
+  
+  // If downloadAttachments is true, download each attachment
+  if (downloadAttachments && attachments.results && attachments.results.length > 0) {
+    console.error(`📦 Downloading ${attachments.results.length} attachments...`);
+    
+    const downloadedAttachments = [];
+    for (const attachment of attachments.results) {
+      try {
+        const downloadedAttachment = await handleConfluenceDownloadAttachment(
+          attachment.id, 
+          attachment.title,
+          saveToDisk,
+          maxImageSize,
+          attachment.version?.number
+        );
+        downloadedAttachments.push(downloadedAttachment);
+      } catch (error) {
+        console.error(`Failed to download attachment ${attachment.title}:`, error.message);
+        // Continue with other attachments
+      }
+    }
+    
+    return {
+      ...page,
+      attachments: attachments.results,
+      attachmentsTruncated: attachments.truncated,
+      downloadedAttachments,
+      [IMAGE_CONTENT]: downloadedAttachments.flatMap(downloaded => downloaded[IMAGE_CONTENT] || [])
+    };
+  }
+  
+  return {
+    ...page,
+    attachments: attachments.results,
+    attachmentsTruncated: attachments.truncated
+  };
+}
+
+// Jira lives on the same Atlassian site unless JIRA_URL (or the profile's jiraUrl) says otherwise
+function getJiraBaseUrl() {
+  return getSite().jiraBaseUrl;
+}
+
+// Cloud uses REST v3 (rich text as ADF); Data Center only has v2 (rich text as wiki markup strings)
+function getJiraApiUrl() {
+  return `${getJiraBaseUrl()}/rest/api/${isDataCenter() ? 2 : 3}`;
+}
+
+// Helper: Accept Jira field lists as an array or a comma-separated string
+function normalizeJiraFields(fields, defaultFields) {
+  if (!fields || (Array.isArray(fields) && fields.length === 0)) {
+    return defaultFields;
+  }
+
+  const list = Array.isArray(fields) ? fields : String(fields).split(',');
+  return list.map(field => validateInput(field, 'Field name')).filter(Boolean);
+}
+
+const DEFAULT_JIRA_SEARCH_FIELDS = ['summary', 'status', 'issuetype', 'priority', 'assignee', 'updated'];
+const DEFAULT_JIRA_ISSUE_FIELDS = [
+  'summary', 'status', 'issuetype', 'priority', 'assignee', 'reporter', 'labels',
+  'created', 'updated', 'description', 'comment', 'issuelinks', 'subtasks', 'parent'
+];
+
+async function handleJiraSearch(jql, fields = null, maxResults = 50, nextPageToken = null) {
+  const sanitizedJql = validateInput(jql, 'JQL query');
+  const sanitizedToken = validateInput(nextPageToken, 'Next page token', false);
+  const pageSize = Math.min(Math.max(parseInt(maxResults, 10) || 50, 1), 100);
+
+  const params = new URLSearchParams({
+    jql: sanitizedJql,
+    maxResults: String(pageSize),
+    fields: normalizeJiraFields(fields, DEFAULT_JIRA_SEARCH_FIELDS).join(',')
+  });
+  // Data Center has no token-based search; its page tokens are plain startAt offsets
+  if (isDataCenter()) {
+    const startAt = Math.max(parseInt(sanitizedToken, 10) || 0, 0);
+    params.set('startAt', String(startAt));
+
+    console.error(`🔍 Searching Jira with JQL: ${sanitizedJql}`);
+
+    const response = await atlassianRequest(`${getJiraApiUrl()}/search?${params.toString()}`, {
+      method: 'GET',
+      service: 'Jira'
+    });
+
+    const result = await response.json();
+    const nextStart = startAt + (result.issues || []).length;
+    const hasMore = (result.issues || []).length > 0 && nextStart < result.total;
+
+    return {
+      ...result,
+      nextPageToken: hasMore ? String(nextStart) : null,
+      isLast: !hasMore
+    };
+  }
+
+  if (sanitizedToken) {
+    params.set('nextPageToken', sanitizedToken);
+  }
+
+  const url = `${getJiraApiUrl()}/search/jql?${params.toString()}`;
+
+  console.error(`🔍 Searching Jira with JQL: ${sanitizedJql}`);
+
+  const response = await atlassianRequest(url, {
+    method: 'GET',
+    service: 'Jira'
+  });
+
+  const result = await response.json();
+
+  return {
+    ...result,
+    // Surface the cursor explicitly so the caller knows how to fetch the next page
+    nextPageToken: result.nextPageToken || null,
+    isLast: result.isLast !== undefined ? result.isLast : !result.nextPageToken
+  };
+}
+
+async function handleJiraGetIssue(issueKey, fields = null) {
+  const sanitizedIssueKey = validateInput(issueKey, 'Issue key');
+
+  const params = new URLSearchParams({
+    fields: normalizeJiraFields(fields, DEFAULT_JIRA_ISSUE_FIELDS).join(','),
+    expand: 'renderedFields'
+  });
+
+  const url = `${getJiraApiUrl()}/issue/${encodeURIComponent(sanitizedIssueKey)}?${params.toString()}`;
+
+  console.error(`🎫 Fetching Jira issue: ${sanitizedIssueKey}`);
+
+  const response = await atlassianRequest(url, {
+    method: 'GET',
+    service: 'Jira'
+  });
+
+  return await response.json();
+}
+
+// Helper: Rich-text field value for the current site: ADF on Cloud, the text itself on Data Center
+function toJiraRichText(text) {
+  return isDataCenter() ? text : textToAdf(text);
+}
+
+// Helper: Convert plain text into the Atlassian Document Format required by Jira Cloud v3
+function textToAdf(text) {
+  const paragraphs = text.split(/\n\s*\n/).filter(paragraph => paragraph.trim() !== '');
+
+  return {
+    type: 'doc',
+    version: 1,
+    content: paragraphs.map(paragraph => {
+      const lines = paragraph.split('\n');
+      const content = [];
+      lines.forEach((line, index) => {
+        if (index > 0) {
+          content.push({ type: 'hardBreak' });
+        }
+        if (line !== '') {
+          content.push({ type: 'text', text: line });
+        }
+      });
+      return { type: 'paragraph', content };
+    })
+  };
+}
+
+// Helper: Validate a free-form Jira fields object (custom fields, components, etc.)
+function validateJiraFields(fields) {
+  if (fields === undefined || fields === null) {
+    return {};
+  }
+
+  if (typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new Error('Fields must be an object keyed by Jira field ID');
+  }
+
+  const serialized = JSON.stringify(fields);
+  if (serialized.includes('<script') || serialized.includes('javascript:')) {
+    throw new Error('Fields contains potentially unsafe content');
+  }
+
+  return fields;
+}
+
+async function handleJiraCreateIssue(projectKey, issueType, summary, description = null, fields = null) {
+  const sanitizedProjectKey = validateInput(projectKey, 'Project key');
+  const sanitizedIssueType = validateInput(issueType, 'Issue type');
+  const sanitizedSummary = validateInput(summary, 'Summary');
+  const sanitizedDescription = validateInput(description, 'Description', false);
+  const extraFields = validateJiraFields(fields);
+
+  console.error(`✏️ Creating Jira issue: "${sanitizedSummary}" in project ${sanitizedProjectKey}`);
+
+  const url = `${getJiraApiUrl()}/issue`;
+  const body = {
+    fields: {
+      ...extraFields,
+      project: { key: sanitizedProjectKey },
+      issuetype: { name: sanitizedIssueType },
+      summary: sanitizedSummary
+    }
+  };
+  if (sanitizedDescription) {
+    body.fields.description = toJiraRichText(sanitizedDescription);
+  }
+
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify(body),
+    service: 'Jira'
+  });
+
+  return await response.json();
+}
+
+async function handleJiraUpdateIssue(issueKey, summary = null, description = null, fields = null) {
+  const sanitizedIssueKey = validateInput(issueKey, 'Issue key');
+  const sanitizedSummary = validateInput(summary, 'Summary', false);
+  const sanitizedDescription = validateInput(description, 'Description', false);
+  const extraFields = validateJiraFields(fields);
+
+  const updatedFields = { ...extraFields };
+  if (sanitizedSummary) {
+    updatedFields.summary = sanitizedSummary;
+  }
+  if (sanitizedDescription) {
+    updatedFields.description = toJiraRichText(sanitizedDescription);
+  }
+
+  if (Object.keys(updatedFields).length === 0) {
+    throw new Error('At least one of summary, description or fields is required');
+  }
+
+  console.error(`🔄 Updating Jira issue: ${sanitizedIssueKey}`);
+
+  const url = `${getJiraApiUrl()}/issue/${encodeURIComponent(sanitizedIssueKey)}`;
+
+  const response = await atlassianRequest(url, {
+    method: 'PUT',
+    body: JSON.stringify({ fields: updatedFields }),
+    service: 'Jira'
+  });
+
+  // Jira answers a successful edit with 204 No Content
+  return {
+    key: sanitizedIssueKey,
+    updateStatus: 'success',
+    updatedFields: Object.keys(updatedFields)
+  };
+}
+
+async function handleJiraTransitionIssue(issueKey, transition, comment = null) {
+  const sanitizedIssueKey = validateInput(issueKey, 'Issue key');
+  const sanitizedTransition = validateInput(transition, 'Transition');
+  const sanitizedComment = validateInput(comment, 'Comment', false);
+
+  const url = `${getJiraApiUrl()}/issue/${encodeURIComponent(sanitizedIssueKey)}/transitions`;
+
+  console.error(`🔀 Looking up transitions for Jira issue: ${sanitizedIssueKey}`);
+
+  const lookupResponse = await atlassianRequest(url, {
+    method: 'GET',
+    service: 'Jira'
+  });
+
+  const { transitions = [] } = await lookupResponse.json();
+
+  // Match by transition ID, transition name or target status name
+  const wanted = sanitizedTransition.toLowerCase();
+  const match = transitions.find(candidate =>
+    candidate.id === sanitizedTransition ||
+    candidate.name?.toLowerCase() === wanted ||
+    candidate.to?.name?.toLowerCase() === wanted
+  );
+
+  if (!match) {
+    const available = transitions.map(candidate => `"${candidate.name}"`).join(', ') || 'none';
+    throw new Error(`Transition "${sanitizedTransition}" is not available for ${sanitizedIssueKey}. Available transitions: ${available}`);
+  }
+
+  console.error(`🔀 Transitioning ${sanitizedIssueKey} via "${match.name}"`);
+
+  const body = { transition: { id: match.id } };
+  if (sanitizedComment) {
+    body.update = {
+      comment: [{ add: { body: toJiraRichText(sanitizedComment) } }]
+    };
+  }
+
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify(body),
+    service: 'Jira'
+  });
+
+  return {
+    key: sanitizedIssueKey,
+    updateStatus: 'success',
+    transition: { id: match.id, name: match.name },
+    newStatus: match.to?.name || null
+  };
+}
+
+async function handleJiraAddComment(issueKey, comment) {
+  const sanitizedIssueKey = validateInput(issueKey, 'Issue key');
+  const sanitizedComment = validateInput(comment, 'Comment');
+
+  console.error(`💬 Adding comment to Jira issue: ${sanitizedIssueKey}`);
+
+  const url = `${getJiraApiUrl()}/issue/${encodeURIComponent(sanitizedIssueKey)}/comment`;
+
+  const response = await atlassianRequest(url, {
+    method: 'POST',
+    body: JSON.stringify({ body: toJiraRichText(sanitizedComment) }),
+    service: 'Jira'
+  });
+
+  return await response.json();
+}
+
+// Raised when the write policy blocks a tool call; reported to the model as a tool error
+class WritePolicyError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'WritePolicyError';
+    this.details = details;
+  }
+  
+  toJSON() {
+    return {
+      error: this.name,
+      message: this.message,
+      ...this.details
+    };
+  }
+}
+
+// Confirmation tokens only need to survive for the lifetime of this process
+const CONFIRMATION_SECRET = crypto.randomBytes(32);
+
+// Helper: Space and ancestry of a page; pageIds lists the page first, then its ancestors nearest-first
+async function fetchPageLocation(pageId) {
+  const sanitizedPageId = validateInput(pageId, 'Page ID');
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedPageId}?expand=space,ancestors`;
+  
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  const page = await response.json();
+  return {
+    spaceKey: page.space?.key,
+    pageId: page.id,
+    title: page.title,
+    pageIds: [page.id, ...(page.ancestors || []).map(ancestor => ancestor.id).reverse()]
+  };
+}
+
+// Helper: The page a comment belongs to
+async function fetchCommentPageId(commentId) {
+  const sanitizedCommentId = validateInput(commentId, 'Comment ID');
+  const url = `${getConfluenceBaseUrl()}/rest/api/content/${sanitizedCommentId}?expand=container`;
+  
+  const response = await atlassianRequest(url, {
+    method: 'GET'
+  });
+  
+  const comment = await response.json();
+  if (!comment.container?.id) {
+    throw new Error(`Cannot find the page that comment ${sanitizedCommentId} belongs to`);
+  }
+  return comment.container.id;
+}
+
+// Where a Confluence write tool would land, as locations for evaluateLocation. Jira tools have none.
+async function resolveWriteTargets(name, args) {
+  switch (name) {
+    case 'confluence_create_page': {
+      const parent = args.parentId ? await fetchPageLocation(args.parentId) : null;
+      return [{
+        action: 'create page',
+        spaceKey: args.space_key,
+        pageIds: parent ? parent.pageIds : [],
+        ...(parent && { parentTitle: parent.title })
+      }];
+    }
+    case 'confluence_move_page': {
+      const source = await fetchPageLocation(args.pageId);
+      const target = await fetchPageLocation(args.targetId);
+      // append nests the page under the target; before/after make it the target's sibling
+      const destination = (args.position || 'append') === 'append' ? target.pageIds : target.pageIds.slice(1);
+      return [
+        { action: 'move page from', ...source },
+        { action: 'move page to', spaceKey: target.spaceKey, pageIds: destination }
+      ];
+    }
+    case 'confluence_reply_to_comment':
+    case 'confluence_resolve_comment':
+      return [{ action: name.replace('confluence_', '').replace(/_/g, ' '), ...await fetchPageLocation(await fetchCommentPageId(args.commentId)) }];
+    default:
+      if (name.startsWith('confluence_')) {
+        return [{ action: name.replace('confluence_', '').replace(/_/g, ' '), ...await fetchPageLocation(args.pageId) }];
+      }
+      return [];
+  }
+}
+
+// Helper: Preview returned instead of writing when writes need confirmation
+async function buildWritePreview(name, args, targets) {
+  const { [CONFIRMATION_ARGUMENT]: providedToken, ...toolArgs } = args;
+  const preview = {
+    status: 'confirmation-required',
+    tool: name,
+    message: 'Nothing was written. Show this preview to the user; if they approve, call the tool again with exactly the same arguments plus confirmationToken.',
+    ...(providedToken && { tokenRejected: 'The confirmationToken does not match these arguments' }),
+    arguments: toolArgs,
+    targets,
+    confirmationToken: createConfirmationToken(CONFIRMATION_SECRET, name, args)
+  };
+  
+  // Whole-page writes: show what would change against the current version
+  if ((name === 'confluence_update_page' || name === 'confluence_patch_update') && args.content) {
+    const currentPage = await handleConfluenceGetPage(args.pageId);
+    const currentContent = toDiffLines(currentPage.body?.storage?.value || '');
+    const newContent = toDiffLines(toStorageContent(args.content, args.contentFormat || 'storage'));
+    preview.changes = calculateContentDiff(currentContent, newContent).changesSummary;
+    preview.patch = createPatch(`page-${currentPage.id}`, currentContent, newContent, `v${currentPage.version.number}`, 'proposed');
+  }
+  
+  return preview;
+}
+
+// Apply the write policy to a tool call. Throws WritePolicyError when the call is not
+// allowed, returns a preview when it needs confirmation, and null when it may proceed.
+async function enforceWritePolicy(name, args) {
+  if (!isWriteTool(name)) {
+    return null;
+  }
+  if (writePolicy.readOnly) {
+    throw new WritePolicyError(`${name} is disabled: the server is in read-only mode`, { tool: name });
+  }
+  if (getSite().readOnly) {
+    throw new WritePolicyError(`${name} is disabled: site "${getSite().name}" is read-only`, { tool: name, site: getSite().name });
+  }
+  
+  let targets = [];
+  if (hasLocationRules(writePolicy) || writePolicy.confirmWrites) {
+    targets = await resolveWriteTargets(name, args);
+  }
+  if (hasLocationRules(writePolicy)) {
+    for (const target of targets) {
+      const decision = evaluateLocation(writePolicy, target);
+      if (!decision.allowed) {
+        console.error(`🛡️ Blocked ${name}: ${decision.reason}`);
+        throw new WritePolicyError(decision.reason, { tool: name, target });
+      }
+    }
+  }
+  
+  if (writePolicy.confirmWrites && !isValidConfirmationToken(CONFIRMATION_SECRET, name, args)) {
+    console.error(`🛡️ ${name} needs confirmation, returning a preview`);
+    return await buildWritePreview(name, args, targets);
+  }
+  return null;
+}
+
+// Hide write tools in read-only mode, and advertise the confirmation argument otherwise
+function applyWritePolicyToTools(tools) {
+  if (writePolicy.readOnly) {
+    return tools.filter(tool => !isWriteTool(tool.name));
+  }
+  if (!writePolicy.confirmWrites) {
+    return tools;
+  }
+  
+  return tools.map(tool => !isWriteTool(tool.name) ? tool : {
+    ...tool,
+    description: `${tool.description}. Needs confirmation: the first call only returns a preview and a confirmationToken.`,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        [CONFIRMATION_ARGUMENT]: {
+          type: "string",
+          description: "Token from the preview of this exact call, once the user has approved it"
+        }
+      }
+    }
+  });
+}
+
+// Audit log: every write tool call (allowed or failed) is appended to AUDIT_LOG_FILE
+const auditLog = createAuditLog(path.resolve(process.env.AUDIT_LOG_FILE || 'mcp-audit.jsonl'));
+const MAX_AUDIT_ENTRIES = 500;
+
+// stdio serves one client per process, so the process stands in for the session there
+const PROCESS_SESSION_ID = crypto.randomUUID();
+
+// Writes that replace a page's body; their entries carry the version and diff of the change
+const PAGE_CONTENT_TOOLS = [
+  'confluence_update_page',
+  'confluence_patch_update',
+  'confluence_update_section',
+  'confluence_restore_page_version'
+];
+
+// Helper: Start an audit entry before a write runs, remembering the page it will replace
+async function beginAuditEntry(name, args, context = {}, snapshot = true) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    tool: name,
+    site: getSite().name,
+    client: context.clientInfo ? { name: context.clientInfo.name, version: context.clientInfo.version } : null,
+    session: context.sessionId || PROCESS_SESSION_ID,
+    arguments: summarizeArguments(args, [CONFIRMATION_ARGUMENT]),
+    target: {
+      ...(args.space_key && { spaceKey: args.space_key }),
+      ...(args.pageId && { pageId: args.pageId }),
+      ...(args.commentId && { commentId: args.commentId }),
+      ...(args.issueKey && { issueKey: args.issueKey }),
+      ...(args.projectKey && { projectKey: args.projectKey })
+    }
+  };
+  
+  let before = null;
+  if (snapshot && PAGE_CONTENT_TOOLS.includes(name) && args.pageId) {
+    try {
+      before = await handleConfluenceGetPage(args.pageId, 'storage', { revalidate: true });
+      entry.target = { ...entry.target, spaceKey: before.space?.key, title: before.title };
+      entry.previousVersion = before.version.number;
+    } catch (error) {
+      // The write itself will report why the page cannot be read
+    }
+  }
+  
+  return { entry, before };
+}
+
+// Helper: Complete and append the audit entry once the write has succeeded or failed
+async function finishAuditEntry({ entry, before }, result, error = null) {
+  try {
+    if (error) {
+      entry.outcome = error instanceof WritePolicyError ? 'denied' : 'error';
+      entry.error = error.message;
+    } else if (result?.updateStatus === 'no-changes' || result?.updateStatus === 'conflict-detected') {
+      // Patch updates that stop short of writing
+      entry.outcome = result.updateStatus;
+    } else {
+      entry.outcome = 'success';
+      if (before) {
+        const after = await handleConfluenceGetPage(before.id);
+        const changes = calculateContentDiff(before.body?.storage?.value || '', after.body?.storage?.value || '');
+        entry.newVersion = after.version.number;
+        entry.changes = {
+          summary: changes.changesSummary,
+          addedLines: changes.addedLines,
+          removedLines: changes.removedLines
+        };
+      } else {
+        if (result?.version?.number) {
+          entry.newVersion = result.version.number;
+        }
+        if (result?.id && entry.tool === 'confluence_create_page') {
+          entry.target = { ...entry.target, pageId: result.id, title: result.title };
+        }
+        if (result?.key && entry.tool === 'jira_create_issue') {
+          entry.target = { ...entry.target, issueKey: result.key };
+        }
+      }
+    }
+    
+    await auditLog.append(entry);
+  } catch (auditError) {
+    // The write has already happened; losing its audit entry must not turn it into a failure
+    console.error(`⚠️ Could not write audit entry for ${entry.tool}: ${auditError.message}`);
+  }
+}
+
+async function handleConfluenceAuditLog(options = {}) {
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 50, 1), MAX_AUDIT_ENTRIES);
+  const session = options.currentSession ? (options.sessionId || PROCESS_SESSION_ID) : validateInput(options.session, 'Session', false);
+  
+  console.error(`📜 Reading audit log: ${auditLog.filePath}`);
+  
+  const { entries, matched } = await auditLog.query({
+    tool: validateInput(options.tool, 'Tool', false),
+    site: options.site || null,
+    outcome: validateInput(options.outcome, 'Outcome', false),
+    pageId: validateInput(options.pageId, 'Page ID', false),
+    spaceKey: validateInput(options.spaceKey, 'Space key', false),
+    session,
+    since: validateInput(options.since, 'Since', false),
+    until: validateInput(options.until, 'Until', false),
+    limit
+  });
+  
+  return {
+    file: auditLog.filePath,
+    currentSession: options.sessionId || PROCESS_SESSION_ID,
+    matched,
+    returned: entries.length,
+    entries
+  };
+}
+
+function handleListSites() {
+  return {
+    defaultSite: siteProfiles.defaultSite,
+    sites: [...siteProfiles.sites.values()].map(site => ({
+      name: site.name,
+      description: site.description,
+      confluenceUrl: site.confluenceUrl,
+      jiraUrl: site.jiraUrl,
+      deployment: site.deployment,
+      auth: site.auth,
+      username: site.username,
+      readOnly: site.readOnly,
+      isDefault: site.name === siteProfiles.defaultSite
+    }))
+  };
+}
+
+// With more than one site configured, every tool takes an optional site argument
+function applySiteArgument(tools) {
+  if (siteProfiles.sites.size < 2) {
+    return tools;
+  }
+  
+  const siteNames = [...siteProfiles.sites.keys()];
+  return tools.map(tool => tool.name === 'list_sites' ? tool : {
+    ...tool,
+    inputSchema: {
+      ...tool.inputSchema,
+      properties: {
+        ...tool.inputSchema.properties,
+        site: {
+          type: "string",
+          enum: siteNames,
+          description: `Atlassian site to use (default: ${siteProfiles.defaultSite}); see list_sites`
+        }
+      }
+    }
+  });
+}
+
+// Handle tool listing
+async function handleListTools() {
+  return {
+    tools: applySiteArgument(applyWritePolicyToTools([
+      {
+        name: "confluence_search",
+        description: "Search Confluence pages using CQL (Confluence Query Language), paginated or fetching all matches",
+        inputSchema: {
+          type: "object",
+          properties: {
+            cql: {
+              type: "string",
+              description: "CQL query string to search for pages"
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of results per page, 1-250 (default: 25)",
+              default: 25
+            },
+            cursor: {
+              type: "string",
+              description: "Cursor returned as nextCursor by a previous confluence_search call to fetch the next page"
+            },
+            start: {
+              type: "number",
+              description: "Offset of the first result (used when no cursor is available)"
+            },
+            expand: {
+              type: "string",
+              description: "Comma-separated properties to expand on each result (e.g. \"space,version,ancestors\")"
+            },
+            fetchAll: {
+              type: "boolean",
+              description: "Follow next links and return every match up to maxResults (default: false)",
+              default: false
+            },
+            maxResults: {
+              type: "number",
+              description: "Upper bound on results collected when fetchAll is true (default: 1000)",
+              default: 1000
+            }
+          },
+          required: ["cql"]
+        }
+      },
+      {
+        name: "confluence_get_page",
+        description: "Get a specific Confluence page by ID",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the Confluence page to retrieve"
+            },
+            format: {
+              type: "string",
+              enum: ["storage", "markdown", "text"],
+              description: "Body representation: raw storage XHTML, Markdown, or plain text (default: storage)",
+              default: "storage"
+            }
+          },
+          required: ["pageId"]
+        }
+      },
+      {
+        name: "confluence_create_page",
+        description: "Create a new Confluence page",
+        inputSchema: {
+          type: "object",
+          properties: {
+            space_key: {
+              type: "string",
+              description: "The space key where the page will be created"
+            },
+            title: {
+              type: "string",
+              description: "The title of the new page"
+            },
+            content: {
+              type: "string",
+              description: "The content of the page, in storage format (HTML) or Markdown"
+            },
+            contentFormat: {
+              type: "string",
+              enum: ["storage", "markdown"],
+              description: "Format of content: Confluence storage XHTML or Markdown (default: storage)",
+              default: "storage"
+            },
+            parentId: {
+              type: "string",
+              description: "ID of the parent page (default: top level of the space)"
+            },
+            labels: {
+              type: "array",
+              items: { type: "string" },
+              description: "Labels to tag the new page with"
+            }
+          },
+          required: ["space_key", "title", "content"]
+        }
+      },
+      {
+        name: "confluence_update_page",
+        description: "Update an existing Confluence page (replaces entire content)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page to update"
+            },
+            title: {
+              type: "string",
+              description: "The new title of the page"
+            },
+            content: {
+              type: "string",
+              description: "The new content of the page, in storage format (HTML) or Markdown"
+            },
+            contentFormat: {
+              type: "string",
+              enum: ["storage", "markdown"],
+              description: "Format of content: Confluence storage XHTML or Markdown (default: storage)",
+              default: "storage"
+            },
+            versionMessage: {
+              type: "string",
+              description: "Message recorded on the new version, shown in page history"
+            }
+          },
+          required: ["pageId", "title", "content"]
+        }
+      },
+      {
+        name: "confluence_patch_update",
+        description: "Smart patch-based update that detects conflicts, merges non-overlapping changes made since originalVersion, and calculates diffs",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page to update"
+            },
+            title: {
+              type: "string",
+              description: "The new title of the page"
+            },
+            content: {
+              type: "string",
+              description: "The new content of the page, in storage format (HTML) or Markdown"
+            },
+            originalVersion: {
+              type: "number",
+              description: "The version number you started editing from (for conflict detection)"
+            },
+            forceUpdate: {
+              type: "boolean",
+              description: "Force update even if conflicts are detected (default: false)",
+              default: false
+            },
+            contentFormat: {
+              type: "string",
+              enum: ["storage", "markdown"],
+              description: "Format of content: Confluence storage XHTML or Markdown (default: storage)",
+              default: "storage"
+            }
+          },
+          required: ["pageId", "title", "content"]
+        }
+      },
+      {
+        name: "confluence_update_section",
+        description: "Replace, append to, prepend to or delete one heading-delimited section of a page, leaving the rest untouched",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page to update"
+            },
+            heading: {
+              type: "string",
+              description: "Text of the section heading (case-insensitive)"
+            },
+            anchor: {
+              type: "string",
+              description: "Anchor of the section heading, as an alternative to heading (e.g. \"Setup-Guide\", or \"PageTitle-Setup-Guide\" as copied from a page URL)"
+            },
+            occurrence: {
+              type: "number",
+              description: "Which matching heading to use when several match (1-based)"
+            },
+            mode: {
+              type: "string",
+              enum: ["replace", "append", "prepend", "delete"],
+              description: "replace the section body, append/prepend to it, or delete the heading and its body"
+            },
+            content: {
+              type: "string",
+              description: "Content for the section (not needed for delete)"
+            },
+            contentFormat: {
+              type: "string",
+              enum: ["storage", "markdown"],
+              description: "Format of content: Confluence storage XHTML or Markdown (default: storage)",
+              default: "storage"
+            },
+            title: {
+              type: "string",
+              description: "New page title (default: keep the current title)"
+            }
+          },
+          required: ["pageId", "mode"]
+        }
+      },
+      {
+        name: "confluence_get_page_versions",
+        description: "List the versions of a Confluence page with author, date and version message (newest first)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page"
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of versions to return (1-200, default: 25)",
+              default: 25
+            },
+            start: {
+              type: "number",
+              description: "Offset into the version list, for paging (default: 0)",
+              default: 0
+            }
+          },
+          required: ["pageId"]
+        }
+      },
+      {
+        name: "confluence_get_page_version",
+        description: "Get a Confluence page's title and body as they were at a given version",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page"
+            },
+            version: {
+              type: "number",
+              description: "The version number to fetch"
+            },
+            format: {
+              type: "string",
+              enum: ["storage", "markdown", "text"],
+              description: "Body format to return: Confluence storage XHTML, Markdown or plain text (default: storage)",
+              default: "storage"
+            }
+          },
+          required: ["pageId", "version"]
+        }
+      },
+      {
+        name: "confluence_diff_page_versions",
+        description: "Get a unified diff between two versions of a Confluence page",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page"
+            },
+            fromVersion: {
+              type: "number",
+              description: "The older version number"
+            },
+            toVersion: {
+              type: "number",
+              description: "The newer version number (default: current version)"
+            },
+            format: {
+              type: "string",
+              enum: ["storage", "markdown", "text"],
+              description: "Representation to diff: storage XHTML (one block per line), Markdown or plain text (default: storage)",
+              default: "storage"
+            }
+          },
+          required: ["pageId", "fromVersion"]
+        }
+      },
+      {
+        name: "confluence_restore_page_version",
+        description: "Restore an older version of a Confluence page by publishing it as a new version",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page"
+            },
+            version: {
+              type: "number",
+              description: "The version number to restore"
+            },
+            message: {
+              type: "string",
+              description: "Message for the new version (default: \"Restored version N\")"
+            }
+          },
+          required: ["pageId", "version"]
+        }
+      },
+      {
+        name: "confluence_get_children",
+        description: "List the direct child pages of a Confluence page, in their display order",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the parent page"
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of children to return (1-250, default: 25)",
+              default: 25
+            },
+            start: {
+              type: "number",
+              description: "Offset into the child list, for paging (default: 0)",
+              default: 0
+            }
+          },
+          required: ["pageId"]
+        }
+      },
+      {
+        name: "confluence_get_page_tree",
+        description: "Get the page hierarchy below a Confluence page as a nested tree, plus the page's ancestors",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page at the top of the tree"
+            },
+            depth: {
+              type: "number",
+              description: "How many levels of descendants to include (1-10, default: 2)",
+              default: 2
+            },
+            maxPages: {
+              type: "number",
+              description: "Stop after this many descendants; the result is marked truncated (default: 200)",
+              default: 200
+            }
+          },
+          required: ["pageId"]
+        }
+      },
+      {
+        name: "confluence_move_page",
+        description: "Move a Confluence page under a new parent, or reorder it next to a sibling",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page to move"
+            },
+            targetId: {
+              type: "string",
+              description: "The ID of the new parent (append) or of the sibling to place it next to (before/after)"
+            },
+            position: {
+              type: "string",
+              enum: ["append", "before", "after"],
+              description: "append: last child of target; before/after: sibling of target (default: append)",
+              default: "append"
+            }
+          },
+          required: ["pageId", "targetId"]
+        }
+      },
+      {
+        name: "confluence_list_spaces",
+        description: "List the Confluence spaces the account can see, with their keys, descriptions and homepage IDs",
+        inputSchema: {
+          type: "object",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["global", "personal"],
+              description: "Only return team (global) or personal spaces"
+            },
+            status: {
+              type: "string",
+              enum: ["current", "archived"],
+              description: "Only return current or archived spaces"
+            },
+            favourite: {
+              type: "boolean",
+              description: "Only return spaces the account has starred (default: false)",
+              default: false
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of spaces to return (1-250, default: 25)",
+              default: 25
+            },
+            start: {
+              type: "number",
+              description: "Offset into the space list, for paging (default: 0)",
+              default: 0
+            }
+          }
+        }
+      },
+      {
+        name: "confluence_get_space",
+        description: "Get a Confluence space's details and its page tree from the root-level pages (the homepage and its siblings) down",
+        inputSchema: {
+          type: "object",
+          properties: {
+            spaceKey: {
+              type: "string",
+              description: "The space key"
+            },
+            depth: {
+              type: "number",
+              description: "Levels of pages to include; 1 = root-level pages only (1-10, default: 1)",
+              default: 1
+            },
+            maxPages: {
+              type: "number",
+              description: "Stop after this many pages; the result is marked truncated (default: 200)",
+              default: 200
+            }
+          },
+          required: ["spaceKey"]
+        }
+      },
+      {
+        name: "confluence_get_labels",
+        description: "List the labels on a Confluence page",
+        inputSchema: {
+          type: "object",
           properties: {
-            space_key: {
+            pageId: {
               type: "string",
-              description: "The space key where the page will be created"
+              description: "The ID of the page"
+            }
+          },
+          required: ["pageId"]
+        }
+      },
+      {
+        name: "confluence_add_labels",
+        description: "Add one or more labels to a Confluence page (labels it already has are left alone)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page"
             },
-            title: {
+            labels: {
+              type: "array",
+              items: { type: "string" },
+              description: "Labels to add (lower case, no spaces)"
+            }
+          },
+          required: ["pageId", "labels"]
+        }
+      },
+      {
+        name: "confluence_remove_labels",
+        description: "Remove one or more labels from a Confluence page",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
               type: "string",
-              description: "The title of the new page"
+              description: "The ID of the page"
             },
-            content: {
+            labels: {
+              type: "array",
+              items: { type: "string" },
+              description: "Labels to remove"
+            }
+          },
+          required: ["pageId", "labels"]
+        }
+      },
+      {
+        name: "confluence_find_pages_by_label",
+        description: "Find Confluence pages by label, newest first",
+        inputSchema: {
+          type: "object",
+          properties: {
+            labels: {
+              type: "array",
+              items: { type: "string" },
+              description: "Labels to look for"
+            },
+            matchAll: {
+              type: "boolean",
+              description: "Only return pages that have every label, instead of any of them (default: false)",
+              default: false
+            },
+            spaceKey: {
+              type: "string",
+              description: "Limit the search to one space"
+            },
+            limit: {
+              type: "number",
+              description: "Maximum number of results to return (1-250, default: 25)",
+              default: 25
+            },
+            cursor: {
               type: "string",
-              description: "The HTML content of the page"
+              description: "Cursor returned as nextCursor by a previous call to fetch the next page"
             }
           },
-          required: ["space_key", "title", "content"]
+          required: ["labels"]
         }
       },
       {
-        name: "confluence_update_page",
-        description: "Update an existing Confluence page (replaces entire content)",
+        name: "confluence_get_comments",
+        description: "List the comments on a Confluence page as threads, including inline comments with their highlighted text and resolved state",
         inputSchema: {
           type: "object",
           properties: {
             pageId: {
               type: "string",
-              description: "The ID of the page to update"
+              description: "The ID of the page"
             },
-            title: {
+            location: {
               type: "string",
-              description: "The new title of the page"
+              enum: ["all", "footer", "inline"],
+              description: "Which comments to return (default: all)",
+              default: "all"
             },
-            content: {
+            format: {
               type: "string",
-              description: "The new HTML content of the page"
+              enum: ["storage", "markdown", "text"],
+              description: "Comment body representation: raw storage XHTML, Markdown, or plain text (default: storage)",
+              default: "storage"
+            },
+            includeResolved: {
+              type: "boolean",
+              description: "Include resolved inline comment threads (default: true)",
+              default: true
             }
           },
-          required: ["pageId", "title", "content"]
+          required: ["pageId"]
         }
       },
       {
-        name: "confluence_patch_update",
-        description: "Smart patch-based update that detects conflicts and calculates diffs",
+        name: "confluence_add_comment",
+        description: "Add a footer comment to a Confluence page",
         inputSchema: {
           type: "object",
           properties: {
             pageId: {
               type: "string",
-              description: "The ID of the page to update"
+              description: "The ID of the page"
             },
-            title: {
+            content: {
               type: "string",
-              description: "The new title of the page"
+              description: "The comment, in storage format (HTML) or Markdown"
+            },
+            contentFormat: {
+              type: "string",
+              enum: ["storage", "markdown"],
+              description: "Format of content: Confluence storage XHTML or Markdown (default: storage)",
+              default: "storage"
+            }
+          },
+          required: ["pageId", "content"]
+        }
+      },
+      {
+        name: "confluence_reply_to_comment",
+        description: "Reply to a footer or inline comment on a Confluence page",
+        inputSchema: {
+          type: "object",
+          properties: {
+            commentId: {
+              type: "string",
+              description: "The ID of the comment to reply to"
             },
             content: {
               type: "string",
-              description: "The new HTML content of the page"
+              description: "The reply, in storage format (HTML) or Markdown"
             },
-            originalVersion: {
-              type: "number",
-              description: "The version number you started editing from (for conflict detection)"
+            contentFormat: {
+              type: "string",
+              enum: ["storage", "markdown"],
+              description: "Format of content: Confluence storage XHTML or Markdown (default: storage)",
+              default: "storage"
+            }
+          },
+          required: ["commentId", "content"]
+        }
+      },
+      {
+        name: "confluence_resolve_comment",
+        description: "Resolve (or reopen) an inline comment on a Confluence page",
+        inputSchema: {
+          type: "object",
+          properties: {
+            commentId: {
+              type: "string",
+              description: "The ID of the inline comment"
             },
-            forceUpdate: {
+            resolved: {
               type: "boolean",
-              description: "Force update even if conflicts are detected (default: false)",
-              default: false
+              description: "true to resolve, false to reopen (default: true)",
+              default: true
             }
           },
-          required: ["pageId", "title", "content"]
+          required: ["commentId"]
         }
       },
       {
@@ -538,73 +3273,360 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
         }
       },
       {
-        name: "confluence_download_attachment",
-        description: "Download a specific attachment from Confluence",
+        name: "confluence_download_attachment",
+        description: "Download a specific attachment from Confluence",
+        inputSchema: {
+          type: "object",
+          properties: {
+            attachmentId: {
+              type: "string",
+              description: "The ID of the attachment to download"
+            },
+            filename: {
+              type: "string",
+              description: "The filename of the attachment"
+            },
+            saveToDisk: {
+              type: "boolean",
+              description: "Stream the file into the server's download directory (ATTACHMENT_DOWNLOAD_DIR) and return its path, size and SHA-256 instead of base64 data (default: false)",
+              default: false
+            },
+            maxImageSize: {
+              type: "number",
+              description: "PNG/JPEG/GIF/WebP images are returned as image content, scaled so the longest side is at most this many pixels (default: IMAGE_MAX_DIMENSION or 1568; 0 = original size)"
+            }
+          },
+          required: ["attachmentId", "filename"]
+        }
+      },
+      {
+        name: "confluence_upload_attachment",
+        description: "Upload a file to a Confluence page as an attachment. If the page already has an attachment with that filename, a new version of it is created. Returns storage markup for referencing it.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the page to attach the file to"
+            },
+            filename: {
+              type: "string",
+              description: "Attachment filename (default: the name of filePath)"
+            },
+            data: {
+              type: "string",
+              description: "File content, base64-encoded (use this or filePath)"
+            },
+            filePath: {
+              type: "string",
+              description: "Path of a file inside the server's ATTACHMENT_UPLOAD_DIR, relative to it or absolute (use this or data; not available over HTTP)"
+            },
+            contentType: {
+              type: "string",
+              description: "Media type of the file (default: guessed from the filename)"
+            },
+            comment: {
+              type: "string",
+              description: "Comment stored with this attachment version"
+            },
+            minorEdit: {
+              type: "boolean",
+              description: "Skip notifying page watchers (default: true)",
+              default: true
+            }
+          },
+          required: ["pageId"]
+        }
+      },
+      {
+        name: "confluence_get_page_with_attachments",
+        description: "Get a Confluence page with all its attachments listed and optionally downloaded",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pageId: {
+              type: "string",
+              description: "The ID of the Confluence page to retrieve"
+            },
+            downloadAttachments: {
+              type: "boolean",
+              description: "Whether to download all attachments (default: false)",
+              default: false
+            },
+            saveToDisk: {
+              type: "boolean",
+              description: "Save downloaded attachments to the server's download directory instead of returning base64 data (default: false)",
+              default: false
+            },
+            maxImageSize: {
+              type: "number",
+              description: "Downloaded images are returned as image content, scaled so the longest side is at most this many pixels (default: IMAGE_MAX_DIMENSION or 1568; 0 = original size)"
+            },
+            format: {
+              type: "string",
+              enum: ["storage", "markdown", "text"],
+              description: "Body representation: raw storage XHTML, Markdown, or plain text (default: storage)",
+              default: "storage"
+            }
+          },
+          required: ["pageId"]
+        }
+      },
+      {
+        name: "confluence_audit_log",
+        description: "Query the audit log of write operations (newest first): who changed what, with version numbers to restore. Passing site narrows it to that site",
+        inputSchema: {
+          type: "object",
+          properties: {
+            limit: {
+              type: "number",
+              description: "Maximum number of entries to return (1-500, default: 50)",
+              default: 50
+            },
+            tool: {
+              type: "string",
+              description: "Only entries for this tool, e.g. confluence_update_page"
+            },
+            pageId: {
+              type: "string",
+              description: "Only entries that targeted this page"
+            },
+            spaceKey: {
+              type: "string",
+              description: "Only entries that targeted this space"
+            },
+            session: {
+              type: "string",
+              description: "Only entries from this MCP session"
+            },
+            currentSession: {
+              type: "boolean",
+              description: "Only entries from the current MCP session (default: false)",
+              default: false
+            },
+            since: {
+              type: "string",
+              description: "Only entries at or after this ISO 8601 timestamp"
+            },
+            until: {
+              type: "string",
+              description: "Only entries at or before this ISO 8601 timestamp"
+            },
+            outcome: {
+              type: "string",
+              enum: AUDIT_OUTCOMES,
+              description: "Only entries that ended this way"
+            }
+          }
+        }
+      },
+      {
+        name: "jira_search",
+        description: "Search Jira issues using JQL (Jira Query Language), one page at a time",
+        inputSchema: {
+          type: "object",
+          properties: {
+            jql: {
+              type: "string",
+              description: "JQL query string to search for issues"
+            },
+            fields: {
+              type: "array",
+              items: { type: "string" },
+              description: "Issue fields to return (default: summary, status, issuetype, priority, assignee, updated)"
+            },
+            maxResults: {
+              type: "number",
+              description: "Maximum number of issues per page, 1-100 (default: 50)",
+              default: 50
+            },
+            nextPageToken: {
+              type: "string",
+              description: "Cursor returned by a previous jira_search call to fetch the next page"
+            }
+          },
+          required: ["jql"]
+        }
+      },
+      {
+        name: "jira_get_issue",
+        description: "Get a Jira issue with its rendered description, comments, links and subtasks",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "The key or ID of the Jira issue (e.g. PROJ-123)"
+            },
+            fields: {
+              type: "array",
+              items: { type: "string" },
+              description: "Issue fields to return (default: common fields plus description, comment, issuelinks and subtasks)"
+            }
+          },
+          required: ["issueKey"]
+        }
+      },
+      {
+        name: "jira_create_issue",
+        description: "Create a new Jira issue",
+        inputSchema: {
+          type: "object",
+          properties: {
+            projectKey: {
+              type: "string",
+              description: "The key of the project the issue will be created in"
+            },
+            issueType: {
+              type: "string",
+              description: "The issue type name (e.g. Task, Bug, Story)"
+            },
+            summary: {
+              type: "string",
+              description: "The summary (title) of the issue"
+            },
+            description: {
+              type: "string",
+              description: "Plain-text description; blank lines separate paragraphs"
+            },
+            fields: {
+              type: "object",
+              description: "Additional fields keyed by field ID, e.g. { \"customfield_10010\": 5, \"labels\": [\"docs\"] }"
+            }
+          },
+          required: ["projectKey", "issueType", "summary"]
+        }
+      },
+      {
+        name: "jira_update_issue",
+        description: "Edit fields of an existing Jira issue",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "The key or ID of the Jira issue to update"
+            },
+            summary: {
+              type: "string",
+              description: "The new summary of the issue"
+            },
+            description: {
+              type: "string",
+              description: "The new plain-text description of the issue"
+            },
+            fields: {
+              type: "object",
+              description: "Additional fields to set, keyed by field ID"
+            }
+          },
+          required: ["issueKey"]
+        }
+      },
+      {
+        name: "jira_transition_issue",
+        description: "Move a Jira issue through its workflow by transition name, target status or transition ID",
+        inputSchema: {
+          type: "object",
+          properties: {
+            issueKey: {
+              type: "string",
+              description: "The key or ID of the Jira issue to transition"
+            },
+            transition: {
+              type: "string",
+              description: "Transition name (e.g. \"Start Progress\"), target status name (e.g. \"Done\") or transition ID"
+            },
+            comment: {
+              type: "string",
+              description: "Optional comment to add with the transition"
+            }
+          },
+          required: ["issueKey", "transition"]
+        }
+      },
+      {
+        name: "jira_add_comment",
+        description: "Add a comment to a Jira issue",
         inputSchema: {
           type: "object",
           properties: {
-            attachmentId: {
+            issueKey: {
               type: "string",
-              description: "The ID of the attachment to download"
+              description: "The key or ID of the Jira issue to comment on"
             },
-            filename: {
+            comment: {
               type: "string",
-              description: "The filename of the attachment"
+              description: "Plain-text comment body; blank lines separate paragraphs"
             }
           },
-          required: ["attachmentId", "filename"]
+          required: ["issueKey", "comment"]
         }
       },
       {
-        name: "confluence_get_page_with_attachments",
-        description: "Get a Confluence page with all its attachments listed and optionally downloaded",
+        name: "list_sites",
+        description: "List the Atlassian sites this server can talk to; pass a site's name as the site argument of any tool",
         inputSchema: {
           type: "object",
-          properties: {
-            pageId: {
-              type: "string",
-              description: "The ID of the Confluence page to retrieve"
-            },
-            downloadAttachments: {
-              type: "boolean",
-              description: "Whether to download all attachments (default: false)",
-              default: false
-            }
-          },
-          required: ["pageId"]
+          properties: {}
         }
       }
-    ]
+    ]))
   };
-});
+}
 
 // Handle tool calls
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
+// Run the tool call against the site named by its `site` argument (default site if omitted)
+async function handleCallTool(request, context = {}) {
+  const site = resolveSite(request.params.arguments?.site);
+  return await siteSelector.run(site, () => callTool(request, context));
+}
+
+async function callTool(request, context) {
+  const { name, arguments: args = {} } = request.params;
+  let audit = null;
   
   try {
-    let result;
+    let result = await enforceWritePolicy(name, args);
+    if (!result && isWriteTool(name)) {
+      audit = await beginAuditEntry(name, args, context);
+    }
     
-    switch (name) {
+    // A non-null result here is a preview awaiting confirmation
+    if (!result) switch (name) {
       case 'confluence_search':
         validateInput(args.cql, 'CQL query');
-        result = await handleConfluenceSearch(args.cql);
+        result = await handleConfluenceSearch(args.cql, {
+          limit: args.limit,
+          cursor: args.cursor,
+          start: args.start,
+          expand: args.expand,
+          fetchAll: args.fetchAll || false,
+          maxResults: args.maxResults
+        });
         break;
       case 'confluence_get_page':
         validateInput(args.pageId, 'Page ID');
-        result = await handleConfluenceGetPage(args.pageId);
+        result = await handleConfluenceGetPage(args.pageId, args.format || 'storage');
         break;
       case 'confluence_create_page':
         validateInput(args.space_key, 'Space key');
         validateInput(args.title, 'Title');
         validateInput(args.content, 'Content');
-        result = await handleConfluenceCreatePage(args.space_key, args.title, args.content);
+        result = await handleConfluenceCreatePage(
+          args.space_key,
+          args.title,
+          args.content,
+          args.contentFormat || 'storage',
+          args.parentId,
+          args.labels
+        );
         break;
       case 'confluence_update_page':
         validateInput(args.pageId, 'Page ID');
         validateInput(args.title, 'Title');
         validateInput(args.content, 'Content');
-        result = await handleConfluenceUpdatePage(args.pageId, args.title, args.content);
+        result = await handleConfluenceUpdatePage(args.pageId, args.title, args.content, args.contentFormat || 'storage', args.versionMessage);
         break;
       case 'confluence_patch_update':
         validateInput(args.pageId, 'Page ID');
@@ -615,9 +3637,107 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
           args.title, 
           args.content, 
           args.originalVersion,
-          args.forceUpdate || false
+          args.forceUpdate || false,
+          args.contentFormat || 'storage'
+        );
+        break;
+      case 'confluence_update_section':
+        validateInput(args.pageId, 'Page ID');
+        validateInput(args.mode, 'Mode');
+        result = await handleConfluenceUpdateSection(
+          args.pageId,
+          { heading: args.heading, anchor: args.anchor, occurrence: args.occurrence },
+          args.mode,
+          args.content,
+          args.contentFormat || 'storage',
+          args.title
+        );
+        break;
+      case 'confluence_get_page_versions':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceGetPageVersions(args.pageId, args.limit, args.start);
+        break;
+      case 'confluence_get_page_version':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceGetPageVersion(args.pageId, args.version, args.format || 'storage');
+        break;
+      case 'confluence_diff_page_versions':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceDiffPageVersions(args.pageId, args.fromVersion, args.toVersion, args.format || 'storage');
+        break;
+      case 'confluence_restore_page_version':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceRestorePageVersion(args.pageId, args.version, args.message);
+        break;
+      case 'confluence_get_children':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceGetChildren(args.pageId, args.limit, args.start);
+        break;
+      case 'confluence_get_page_tree':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceGetPageTree(args.pageId, args.depth, args.maxPages);
+        break;
+      case 'confluence_move_page':
+        validateInput(args.pageId, 'Page ID');
+        validateInput(args.targetId, 'Target page ID');
+        result = await handleConfluenceMovePage(args.pageId, args.targetId, args.position || 'append');
+        break;
+      case 'confluence_list_spaces':
+        result = await handleConfluenceListSpaces({
+          type: args.type,
+          status: args.status,
+          favourite: args.favourite || false,
+          limit: args.limit,
+          start: args.start
+        });
+        break;
+      case 'confluence_get_space':
+        validateInput(args.spaceKey, 'Space key');
+        result = await handleConfluenceGetSpace(args.spaceKey, args.depth || 1, args.maxPages);
+        break;
+      case 'confluence_get_labels':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceGetLabels(args.pageId);
+        break;
+      case 'confluence_add_labels':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceAddLabels(args.pageId, args.labels);
+        break;
+      case 'confluence_remove_labels':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceRemoveLabels(args.pageId, args.labels);
+        break;
+      case 'confluence_find_pages_by_label':
+        result = await handleConfluenceFindPagesByLabel(args.labels, {
+          matchAll: args.matchAll || false,
+          spaceKey: args.spaceKey,
+          limit: args.limit,
+          cursor: args.cursor
+        });
+        break;
+      case 'confluence_get_comments':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceGetComments(
+          args.pageId,
+          args.location || 'all',
+          args.format || 'storage',
+          args.includeResolved !== false
         );
         break;
+      case 'confluence_add_comment':
+        validateInput(args.pageId, 'Page ID');
+        validateInput(args.content, 'Content');
+        result = await handleConfluenceAddComment(args.pageId, args.content, args.contentFormat || 'storage');
+        break;
+      case 'confluence_reply_to_comment':
+        validateInput(args.commentId, 'Comment ID');
+        validateInput(args.content, 'Content');
+        result = await handleConfluenceReplyToComment(args.commentId, args.content, args.contentFormat || 'storage');
+        break;
+      case 'confluence_resolve_comment':
+        validateInput(args.commentId, 'Comment ID');
+        result = await handleConfluenceResolveComment(args.commentId, args.resolved !== false);
+        break;
       case 'confluence_get_attachments':
         validateInput(args.pageId, 'Page ID');
         result = await handleConfluenceGetAttachments(args.pageId);
@@ -625,34 +3745,694 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       case 'confluence_download_attachment':
         validateInput(args.attachmentId, 'Attachment ID');
         validateInput(args.filename, 'Filename');
-        result = await handleConfluenceDownloadAttachment(args.attachmentId, args.filename);
+        result = await handleConfluenceDownloadAttachment(
+          args.attachmentId,
+          args.filename,
+          args.saveToDisk || false,
+          args.maxImageSize ?? IMAGE_MAX_DIMENSION
+        );
+        break;
+      case 'confluence_upload_attachment':
+        validateInput(args.pageId, 'Page ID');
+        result = await handleConfluenceUploadAttachment(args.pageId, args.filename, {
+          data: args.data,
+          filePath: args.filePath,
+          contentType: args.contentType,
+          comment: args.comment,
+          minorEdit: args.minorEdit
+        });
         break;
       case 'confluence_get_page_with_attachments':
         validateInput(args.pageId, 'Page ID');
-        result = await handleConfluenceGetPageWithAttachments(args.pageId, args.downloadAttachments || false);
+        result = await handleConfluenceGetPageWithAttachments(
+          args.pageId,
+          args.downloadAttachments || false,
+          args.format || 'storage',
+          args.saveToDisk || false,
+          args.maxImageSize ?? IMAGE_MAX_DIMENSION
+        );
+        break;
+      case 'jira_search':
+        validateInput(args.jql, 'JQL query');
+        result = await handleJiraSearch(args.jql, args.fields, args.maxResults, args.nextPageToken);
+        break;
+      case 'jira_get_issue':
+        validateInput(args.issueKey, 'Issue key');
+        result = await handleJiraGetIssue(args.issueKey, args.fields);
+        break;
+      case 'jira_create_issue':
+        validateInput(args.projectKey, 'Project key');
+        validateInput(args.issueType, 'Issue type');
+        validateInput(args.summary, 'Summary');
+        result = await handleJiraCreateIssue(
+          args.projectKey,
+          args.issueType,
+          args.summary,
+          args.description,
+          args.fields
+        );
+        break;
+      case 'jira_update_issue':
+        validateInput(args.issueKey, 'Issue key');
+        result = await handleJiraUpdateIssue(args.issueKey, args.summary, args.description, args.fields);
+        break;
+      case 'jira_transition_issue':
+        validateInput(args.issueKey, 'Issue key');
+        validateInput(args.transition, 'Transition');
+        result = await handleJiraTransitionIssue(args.issueKey, args.transition, args.comment);
+        break;
+      case 'jira_add_comment':
+        validateInput(args.issueKey, 'Issue key');
+        validateInput(args.comment, 'Comment');
+        result = await handleJiraAddComment(args.issueKey, args.comment);
+        break;
+      case 'list_sites':
+        result = handleListSites();
+        break;
+      case 'confluence_audit_log':
+        result = await handleConfluenceAuditLog({
+          limit: args.limit,
+          tool: args.tool,
+          pageId: args.pageId,
+          spaceKey: args.spaceKey,
+          session: args.session,
+          since: args.since,
+          until: args.until,
+          outcome: args.outcome,
+          // An explicit site argument narrows the log to that site; without one, every site is shown
+          site: args.site ? getSite().name : null,
+          currentSession: args.currentSession || false,
+          sessionId: context.sessionId
+        });
         break;
       default:
         throw new Error(`Unknown tool: ${name}`);
     }
     
+    if (audit) {
+      await finishAuditEntry(audit, result);
+    }
+    
     return {
       content: [
         {
           type: "text",
           text: JSON.stringify(result, null, 2)
-        }
+        },
+        ...(result?.[IMAGE_CONTENT] || [])
       ]
     };
   } catch (error) {
     console.error('Tool execution error:', error);
+    // Refused writes are recorded too
+    if (!audit && error instanceof WritePolicyError) {
+      audit = await beginAuditEntry(name, args, context, false);
+    }
+    if (audit) {
+      await finishAuditEntry(audit, null, error);
+    }
+    // Hand Atlassian's own error details (and policy refusals) back to the model instead of a bare protocol error
+    if (error instanceof AtlassianApiError || error instanceof WritePolicyError) {
+      return {
+        isError: true,
+        content: [
+          {
+            type: "text",
+            text: JSON.stringify(error, null, 2)
+          }
+        ]
+      };
+    }
     throw error;
   }
-});
+}
+
+// Resources: pages are exposed as confluence://{spaceKey}/{pageId} (Markdown), their
+// attachments as confluence://{spaceKey}/{pageId}/attachments/{filename}
+const RESOURCE_PAGE_SIZE = 50;
+const RESOURCE_POLL_INTERVAL_MS = parseInt(process.env.RESOURCE_POLL_INTERVAL_MS, 10) || 60000;
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'confluence://{spaceKey}/{pageId}',
+    name: 'Confluence page by ID',
+    description: 'A Confluence page rendered as Markdown',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'confluence://{spaceKey}/title/{title}',
+    name: 'Confluence page by title',
+    description: 'A Confluence page looked up by its exact title within a space (URL-encode the title)',
+    mimeType: 'text/markdown'
+  },
+  {
+    uriTemplate: 'confluence://{spaceKey}/{pageId}/attachments',
+    name: 'Attachments of a Confluence page',
+    description: 'JSON list of the page\'s attachments with their resource URIs',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'confluence://{spaceKey}/{pageId}/attachments/{filename}',
+    name: 'Confluence attachment',
+    description: 'The contents of a page attachment (URL-encode the filename)'
+  }
+];
+
+// Helper: Build the resource URI of a page, or of one of its attachments
+function toResourceUri(spaceKey, pageId, filename = null) {
+  const pageUri = `confluence://${encodeURIComponent(spaceKey)}/${pageId}`;
+  return filename === null ? pageUri : `${pageUri}/attachments/${encodeURIComponent(filename)}`;
+}
+
+// Helper: Split a confluence:// URI into what it points at
+function parseResourceUri(uri) {
+  const match = /^confluence:\/\/([^/]+)\/(.+)$/.exec(uri);
+  const segments = match ? match[2].split('/') : [];
+  const spaceKey = match ? decodeURIComponent(match[1]) : null;
+  
+  if (segments.length === 2 && segments[0] === 'title') {
+    return { kind: 'title', spaceKey, title: decodeURIComponent(segments[1]) };
+  }
+  if (/^\d+$/.test(segments[0] || '')) {
+    if (segments.length === 1) {
+      return { kind: 'page', spaceKey, pageId: segments[0] };
+    }
+    if (segments.length === 2 && segments[1] === 'attachments') {
+      return { kind: 'attachments', spaceKey, pageId: segments[0] };
+    }
+    if (segments.length === 3 && segments[1] === 'attachments') {
+      return { kind: 'attachment', spaceKey, pageId: segments[0], filename: decodeURIComponent(segments[2]) };
+    }
+  }
+  
+  throw new Error(`Unsupported resource URI: ${uri}. Expected confluence://{spaceKey}/{pageId}, confluence://{spaceKey}/title/{title} or confluence://{spaceKey}/{pageId}/attachments[/{filename}]`);
+}
+
+// Helper: Text content for a page resource
+function toPageResourceContents(uri, page) {
+  return {
+    uri,
+    mimeType: 'text/markdown',
+    text: `# ${page.title}\n\n${page.body?.markdown?.value || ''}`
+  };
+}
+
+// Recently modified pages, optionally limited to the spaces in CONFLUENCE_RESOURCE_SPACES
+async function handleListResources(request) {
+  const spaces = (process.env.CONFLUENCE_RESOURCE_SPACES || '')
+    .split(',')
+    .map(space => space.trim())
+    .filter(Boolean);
+  const spaceFilter = spaces.length > 0 ? `space in (${spaces.map(space => `"${space}"`).join(',')}) AND ` : '';
+  
+  const search = await handleConfluenceSearch(`${spaceFilter}type = page ORDER BY lastmodified DESC`, {
+    limit: RESOURCE_PAGE_SIZE,
+    cursor: request.params?.cursor,
+    expand: 'space,version'
+  });
+  
+  return {
+    resources: (search.results || []).map(page => ({
+      uri: toResourceUri(page.space?.key, page.id),
+      name: page.title,
+      description: `Space ${page.space?.key}, version ${page.version?.number}`,
+      mimeType: 'text/markdown'
+    })),
+    ...(search.nextCursor && { nextCursor: search.nextCursor })
+  };
+}
+
+async function handleListResourceTemplates() {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
+
+async function handleReadResource(request) {
+  const { uri } = request.params;
+  const target = parseResourceUri(uri);
+  
+  console.error(`📚 Reading resource: ${uri}`);
+  
+  if (target.kind === 'page') {
+    const page = await handleConfluenceGetPage(target.pageId, 'markdown');
+    return { contents: [toPageResourceContents(uri, page)] };
+  }
+  
+  if (target.kind === 'title') {
+    const cql = `space = "${target.spaceKey.replace(/"/g, '\\"')}" AND type = page AND title = "${target.title.replace(/"/g, '\\"')}"`;
+    const search = await handleConfluenceSearch(cql, { limit: 1 });
+    if (!search.results?.length) {
+      throw new Error(`No page titled "${target.title}" in space ${target.spaceKey}`);
+    }
+    const page = await handleConfluenceGetPage(search.results[0].id, 'markdown');
+    return { contents: [toPageResourceContents(uri, page)] };
+  }
+  
+  if (target.kind === 'attachments') {
+    const attachments = await handleConfluenceGetAttachments(target.pageId);
+    const listing = (attachments.results || []).map(attachment => ({
+      uri: toResourceUri(target.spaceKey, target.pageId, attachment.title),
+      filename: attachment.title,
+      mediaType: attachment.extensions?.mediaType,
+      fileSize: attachment.extensions?.fileSize
+    }));
+    return {
+      contents: [{ uri, mimeType: 'application/json', text: JSON.stringify(listing, null, 2) }]
+    };
+  }
+  
+  const attachment = await findAttachmentByFilename(target.pageId, target.filename);
+  if (!attachment) {
+    throw new Error(`Page ${target.pageId} has no attachment named "${target.filename}"`);
+  }
+  if (attachment.extensions?.fileSize > ATTACHMENT_MAX_BYTES) {
+    throw new Error(`Attachment is ${attachment.extensions.fileSize} bytes, over the ${ATTACHMENT_MAX_BYTES} byte limit (ATTACHMENT_MAX_BYTES)`);
+  }
+  
+  const { buffer } = await fetchAttachmentBlob(attachment.id, attachment.version?.number);
+  
+  return {
+    contents: [{
+      uri,
+      mimeType: attachment.extensions?.mediaType || getAttachmentMediaType(target.filename),
+      blob: buffer.toString('base64')
+    }]
+  };
+}
+
+// Per-server page subscriptions. Subscribed pages are polled in the background and a
+// resources/updated notification is sent whenever a page's version number changes.
+function createResourceSubscriptions(server) {
+  const subscriptions = new Map();
+  let timer = null;
+  
+  const fetchVersion = async (pageId) => {
+    const response = await atlassianRequest(`${getConfluenceBaseUrl()}/rest/api/content/${pageId}?expand=version`, {
+      method: 'GET'
+    });
+    return (await response.json()).version.number;
+  };
+  
+  const poll = async () => {
+    for (const [uri, subscription] of subscriptions) {
+      try {
+        const version = await fetchVersion(subscription.pageId);
+        if (subscriptions.get(uri) === subscription && version !== subscription.version) {
+          console.error(`🔔 ${uri} changed: v${subscription.version} → v${version}`);
+          subscription.version = version;
+          contentCache.invalidate(subscription.pageId);
+          await server.sendResourceUpdated({ uri });
+        }
+      } catch (error) {
+        console.error(`⚠️ Failed to poll ${uri}:`, error.message);
+      }
+    }
+  };
+  
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+    subscriptions.clear();
+  };
+  
+  return {
+    async subscribe(request) {
+      const { uri } = request.params;
+      const target = parseResourceUri(uri);
+      if (target.kind !== 'page') {
+        throw new Error('Only page resources (confluence://{spaceKey}/{pageId}) can be subscribed to');
+      }
+      
+      subscriptions.set(uri, { pageId: target.pageId, version: await fetchVersion(target.pageId) });
+      console.error(`🔔 Subscribed to ${uri} (${subscriptions.size} active)`);
+      
+      if (!timer) {
+        timer = setInterval(poll, RESOURCE_POLL_INTERVAL_MS);
+        timer.unref();
+      }
+      return {};
+    },
+    async unsubscribe(request) {
+      subscriptions.delete(request.params.uri);
+      if (subscriptions.size === 0) {
+        stop();
+      }
+      return {};
+    },
+    stop
+  };
+}
+
+// Prompts: reusable documentation workflows. Each one pre-fetches the pages it needs
+// and embeds them as resources, so the model starts with the content in hand.
+const MAX_RELEASE_NOTE_SOURCES = 25;
+
+const PROMPTS = [
+  {
+    name: 'summarize_page',
+    description: 'Summarise a Confluence page',
+    arguments: [
+      { name: 'pageId', description: 'ID of the page to summarise', required: true },
+      { name: 'audience', description: 'Who the summary is for, e.g. "executives" or "new engineers"', required: false }
+    ]
+  },
+  {
+    name: 'draft_release_notes',
+    description: 'Draft release notes from the pages matching a CQL query and publish them to a space',
+    arguments: [
+      { name: 'spaceKey', description: 'Space to create the release notes page in', required: true },
+      { name: 'cql', description: 'CQL selecting the source pages, e.g. label = "release-2.4"', required: true },
+      { name: 'title', description: 'Title of the release notes page', required: false },
+      { name: 'maxPages', description: `How many matching pages to include (default: 10, max: ${MAX_RELEASE_NOTE_SOURCES})`, required: false }
+    ]
+  },
+  {
+    name: 'review_stale_content',
+    description: 'Review a Confluence page for stale or outdated content and propose fixes',
+    arguments: [
+      { name: 'pageId', description: 'ID of the page to review', required: true }
+    ]
+  }
+];
+
+// Helper: Fetch a page as Markdown and wrap it as an embedded resource message
+async function toEmbeddedPageMessage(pageId) {
+  const page = await handleConfluenceGetPage(pageId, 'markdown');
+  return {
+    page,
+    message: {
+      role: 'user',
+      content: {
+        type: 'resource',
+        resource: toPageResourceContents(toResourceUri(page.space?.key, page.id), page)
+      }
+    }
+  };
+}
+
+// Helper: Plain instruction message
+function toTextMessage(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+async function handleListPrompts() {
+  return { prompts: PROMPTS };
+}
+
+async function handleGetPrompt(request) {
+  const { name, arguments: args = {} } = request.params;
+  const prompt = PROMPTS.find(candidate => candidate.name === name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${name}`);
+  }
+  for (const argument of prompt.arguments.filter(argument => argument.required)) {
+    validateInput(args[argument.name], argument.name);
+  }
+  
+  console.error(`💬 Building prompt: ${name}`);
+  
+  switch (name) {
+    case 'summarize_page': {
+      const { page, message } = await toEmbeddedPageMessage(args.pageId);
+      const audience = args.audience ? ` for ${args.audience}` : '';
+      return {
+        description: `Summary of "${page.title}"`,
+        messages: [
+          message,
+          toTextMessage(
+            `Summarise the Confluence page "${page.title}" above${audience}. ` +
+            'Start with a two-sentence overview, then list the key points, decisions and open questions as bullets. ' +
+            'Only use information from the page; say so if something important seems to be missing.'
+          )
+        ]
+      };
+    }
+    
+    case 'draft_release_notes': {
+      const maxPages = Math.min(Math.max(parseInt(args.maxPages, 10) || 10, 1), MAX_RELEASE_NOTE_SOURCES);
+      const search = await handleConfluenceSearch(args.cql, { limit: maxPages });
+      const sources = search.results || [];
+      if (sources.length === 0) {
+        throw new Error(`No pages match the CQL query: ${args.cql}`);
+      }
+      
+      const embedded = [];
+      for (const source of sources) {
+        embedded.push((await toEmbeddedPageMessage(source.id)).message);
+      }
+      
+      const title = args.title || 'Release Notes';
+      return {
+        description: `Release notes for space ${args.spaceKey} from ${sources.length} page(s)`,
+        messages: [
+          ...embedded,
+          toTextMessage(
+            `Using only the ${sources.length} Confluence page(s) above, draft release notes titled "${title}". ` +
+            'Group changes under "New Features", "Improvements", "Bug Fixes" and "Breaking Changes" (omit empty groups), ' +
+            'one bullet per change, and link each bullet to its source page as [Page Title](confluence-page:SPACE/Page%20Title). ' +
+            `Show me the draft first. Once I approve it, publish it with confluence_create_page in space ${args.spaceKey} ` +
+            'using contentFormat "markdown".'
+          )
+        ]
+      };
+    }
+    
+    case 'review_stale_content': {
+      const { page, message } = await toEmbeddedPageMessage(args.pageId);
+      const lastEdit = page.version?.when
+        ? `It was last edited on ${page.version.when}${page.version.by?.displayName ? ` by ${page.version.by.displayName}` : ''} (version ${page.version.number}).`
+        : `It is at version ${page.version?.number}.`;
+      return {
+        description: `Staleness review of "${page.title}"`,
+        messages: [
+          message,
+          toTextMessage(
+            `Review the Confluence page "${page.title}" above for stale content. ${lastEdit} ` +
+            'Look for outdated dates, versions and release references, deprecated tools or processes, unresolved TODOs, ' +
+            'people or teams that may have changed, and instructions that contradict each other. ' +
+            'For each finding quote the passage, explain why it looks stale, and suggest replacement text. ' +
+            'Do not edit the page unless I ask; if I do, use confluence_update_section for each affected section.'
+          )
+        ]
+      };
+    }
+  }
+}
+
+// Create a server with all handlers registered. The HTTP transport needs one
+// instance per client session, stdio needs exactly one.
+function createServer() {
+  const server = new Server(
+    {
+      name: "confluence-mcp-server",
+      version: "1.0.0",
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: { subscribe: true },
+        prompts: {},
+      },
+    }
+  );
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  // Audit entries record which client made each call
+  server.setRequestHandler(CallToolRequestSchema, (request, extra) => handleCallTool(request, {
+    sessionId: extra?.sessionId,
+    clientInfo: server.getClientVersion()
+  }));
+  server.setRequestHandler(ListResourcesRequestSchema, handleListResources);
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, handleListResourceTemplates);
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(ListPromptsRequestSchema, handleListPrompts);
+  server.setRequestHandler(GetPromptRequestSchema, handleGetPrompt);
+
+  const subscriptions = createResourceSubscriptions(server);
+  server.setRequestHandler(SubscribeRequestSchema, subscriptions.subscribe);
+  server.setRequestHandler(UnsubscribeRequestSchema, subscriptions.unsubscribe);
+  server.onclose = subscriptions.stop;
+
+  return server;
+}
+
+// Helper: Constant-time check of the "Authorization: Bearer <token>" header
+function isAuthorizedHttpRequest(req) {
+  const header = req.headers['authorization'] || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return false;
+  }
+
+  const expected = Buffer.from(process.env.MCP_AUTH_TOKEN);
+  const provided = Buffer.from(match[1].trim());
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+const HTTP_MAX_BODY_BYTES = parseInt(process.env.MCP_HTTP_MAX_BODY_BYTES, 10) || 4 * 1024 * 1024;
+const HTTP_SESSION_IDLE_TIMEOUT_MS = parseInt(process.env.MCP_SESSION_IDLE_TIMEOUT_MS, 10) || 30 * 60 * 1000;
+
+// Helper: Read and parse a JSON request body, refusing bodies over HTTP_MAX_BODY_BYTES with 413
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => {
+      const error = new Error(`Request body exceeds ${HTTP_MAX_BODY_BYTES} bytes`);
+      error.statusCode = 413;
+      return error;
+    };
+    if (parseInt(req.headers['content-length'], 10) > HTTP_MAX_BODY_BYTES) {
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > HTTP_MAX_BODY_BYTES) {
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw) {
+        resolve(undefined);
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new Error('Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Helper: Write a JSON-RPC error response for requests rejected before reaching a transport
+function sendHttpError(res, statusCode, message) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    jsonrpc: '2.0',
+    error: { code: -32000, message },
+    id: null
+  }));
+}
+
+async function startHttpServer() {
+  if (!process.env.MCP_AUTH_TOKEN) {
+    console.error('❌ MCP_AUTH_TOKEN must be set in .env file to serve over HTTP');
+    process.exit(1);
+  }
+
+  const port = parseInt(process.env.PORT, 10) || 5555;
+  const transports = new Map();
+  // Session id -> { lastActivity, activeRequests }; clients that vanish without a DELETE are closed once idle
+  const sessionActivity = new Map();
+
+  const idleSweep = setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, activity] of sessionActivity) {
+      if (activity.activeRequests === 0 && now - activity.lastActivity > HTTP_SESSION_IDLE_TIMEOUT_MS) {
+        console.error(`🔌 MCP session idle for over ${HTTP_SESSION_IDLE_TIMEOUT_MS} ms: ${sessionId}`);
+        sessionActivity.delete(sessionId);
+        transports.get(sessionId)?.close().catch(error => console.error('Failed to close idle session:', error));
+      }
+    }
+  }, Math.min(HTTP_SESSION_IDLE_TIMEOUT_MS, 60 * 1000));
+  idleSweep.unref();
+
+  // Helper: Count a request against its session until the response (including an SSE stream) finishes
+  const trackSessionRequest = (sessionId, res) => {
+    const activity = sessionActivity.get(sessionId);
+    if (!activity) {
+      return;
+    }
+    activity.activeRequests++;
+    activity.lastActivity = Date.now();
+    res.on('close', () => {
+      activity.activeRequests--;
+      activity.lastActivity = Date.now();
+    });
+  };
+
+  const httpServer = http.createServer(async (req, res) => {
+    try {
+      const { pathname } = new URL(req.url, 'http://localhost');
+      if (pathname !== '/mcp') {
+        sendHttpError(res, 404, 'Not found');
+        return;
+      }
+
+      if (!isAuthorizedHttpRequest(req)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        sendHttpError(res, 401, 'Unauthorized');
+        return;
+      }
+
+      const sessionId = req.headers['mcp-session-id'];
+      const body = req.method === 'POST' ? await readJsonBody(req) : undefined;
+
+      if (sessionId && transports.has(sessionId)) {
+        trackSessionRequest(sessionId, res);
+        await transports.get(sessionId).handleRequest(req, res, body);
+        return;
+      }
+
+      if (!sessionId && req.method === 'POST' && isInitializeRequest(body)) {
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => crypto.randomUUID(),
+          onsessioninitialized: (newSessionId) => {
+            transports.set(newSessionId, transport);
+            sessionActivity.set(newSessionId, { lastActivity: Date.now(), activeRequests: 0 });
+            console.error(`🔌 MCP session opened: ${newSessionId} (${transports.size} active)`);
+          }
+        });
+
+        // connect() takes over transport.onclose, so session cleanup hangs off the server's onclose
+        const server = createServer();
+        const stopServer = server.onclose;
+        server.onclose = () => {
+          stopServer?.();
+          sessionActivity.delete(transport.sessionId);
+          if (transport.sessionId && transports.delete(transport.sessionId)) {
+            console.error(`🔌 MCP session closed: ${transport.sessionId} (${transports.size} active)`);
+          }
+        };
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, body);
+        return;
+      }
+
+      sendHttpError(res, sessionId ? 404 : 400, sessionId ? 'Unknown session ID' : 'Missing session ID');
+    } catch (error) {
+      console.error('HTTP transport error:', error);
+      if (!res.headersSent) {
+        if (error.statusCode === 413) {
+          res.setHeader('Connection', 'close');
+        }
+        sendHttpError(res, error.statusCode || 400, error.message);
+      }
+    }
+  });
+
+  await new Promise((resolve) => httpServer.listen(port, resolve));
+  console.error(`✨ Confluence MCP Server (HTTP) ready on http://localhost:${port}/mcp`);
+}
 
 // Start the server
 async function main() {
+  if (USE_HTTP_TRANSPORT) {
+    await startHttpServer();
+    return;
+  }
+
   const transport = new StdioServerTransport();
-  await server.connect(transport);
+  await createServer().connect(transport);
   console.error('✨ Confluence MCP Server (stdio) ready!');
 }
 
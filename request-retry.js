@@ -0,0 +1,44 @@
+/**
+ * Retry timing for Atlassian REST requests: exponential backoff with full jitter for
+ * failures, and the server's Retry-After for rate limits.
+ */
+
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30000;
+// A Retry-After longer than this is not waited out in full
+const RETRY_AFTER_MAX_MS = RETRY_MAX_DELAY_MS * 4;
+
+// Exponential backoff with full jitter
+function getBackoffDelay(attempt, random = Math.random) {
+  const ceiling = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.floor(random() * ceiling);
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(headerValue, now = Date.now()) {
+  if (!headerValue) {
+    return null;
+  }
+
+  const seconds = Number(headerValue);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(headerValue);
+  return Number.isNaN(date) ? null : Math.max(date - now, 0);
+}
+
+// Delay before the next attempt: the Retry-After header when there is a usable one, else backoff
+function getRetryDelay(retryAfterHeader, attempt, random = Math.random) {
+  const retryAfter = parseRetryAfter(retryAfterHeader);
+  return retryAfter !== null ? Math.min(retryAfter, RETRY_AFTER_MAX_MS) : getBackoffDelay(attempt, random);
+}
+
+module.exports = {
+  RETRY_MAX_DELAY_MS,
+  RETRY_AFTER_MAX_MS,
+  getBackoffDelay,
+  parseRetryAfter,
+  getRetryDelay
+};
@@ -0,0 +1,245 @@
+/**
+ * Named Atlassian site profiles, so one server can work against several sites
+ * (e.g. production and a sandbox).
+ *
+ * Profiles come from the JSON file named by ATLASSIAN_SITES_FILE. Without it, there is a
+ * single profile called "default" built from CONFLUENCE_URL, JIRA_URL, ATLASSIAN_USERNAME
+ * and ATLASSIAN_API_TOKEN, exactly as before profiles existed.
+ *
+ *   {
+ *     "default": "prod",
+ *     "sites": {
+ *       "prod":    { "confluenceUrl": "https://acme.atlassian.net", "username": "me@acme.com", "apiTokenEnv": "PROD_API_TOKEN", "readOnly": true },
+ *       "sandbox": { "confluenceUrl": "https://acme-sandbox.atlassian.net", "username": "me@acme.com", "apiTokenEnv": "SANDBOX_API_TOKEN" }
+ *     }
+ *   }
+ *
+ * `apiTokenEnv` names an environment variable holding the token, so secrets can stay in
+ * .env; `apiToken` holds it inline. `jiraUrl` defaults to `confluenceUrl`.
+ *
+ * `deployment` is "cloud" (default) or "datacenter" (Confluence/Jira Data Center or Server,
+ * where `confluenceUrl` includes any context path and there is no /wiki prefix).
+ * `auth` picks how requests are signed:
+ *   - "basic": username + API token (Cloud default)
+ *   - "pat":   Authorization: Bearer with a Personal Access Token in apiToken (Data Center default)
+ *   - "oauth": Cloud only, an OAuth 2.0 (3LO) access token sent through api.atlassian.com,
+ *              configured under "oauth": { cloudId, accessToken, refreshToken, clientId, clientSecret }
+ *              (each secret may also be given as <name>Env). With a refresh token and client
+ *              credentials, expired access tokens are refreshed automatically.
+ */
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_SITE = 'default';
+const DEPLOYMENTS = ['cloud', 'datacenter'];
+const AUTH_TYPES = ['basic', 'pat', 'oauth'];
+const OAUTH_API_URL = 'https://api.atlassian.com';
+const PLACEHOLDER_VALUES = ['https://your-instance.atlassian.net/', 'your-email@company.com', 'your-api-token-here'];
+
+function isMissing(value) {
+  return !value || PLACEHOLDER_VALUES.includes(value);
+}
+
+// Trailing slashes would give "//wiki/..." once paths are appended
+function toBaseUrl(url) {
+  return String(url).trim().replace(/\/+$/, '');
+}
+
+// A secret given inline as `key`, or through the environment variable named by `keyEnv`
+function readSecret(config, key, env) {
+  return config[`${key}Env`] ? env[config[`${key}Env`]] : config[key];
+}
+
+// `label` maps a config key to the name the user wrote it under, for error messages
+function toProfile(name, config, env, label = key => key) {
+  const deployment = config.deployment || 'cloud';
+  const auth = config.auth || (deployment === 'datacenter' ? 'pat' : 'basic');
+  const apiToken = readSecret(config, 'apiToken', env);
+  const oauthConfig = config.oauth || {};
+  const oauth = {
+    cloudId: oauthConfig.cloudId,
+    accessToken: readSecret(oauthConfig, 'accessToken', env),
+    refreshToken: readSecret(oauthConfig, 'refreshToken', env),
+    clientId: oauthConfig.clientId,
+    clientSecret: readSecret(oauthConfig, 'clientSecret', env)
+  };
+
+  if (!DEPLOYMENTS.includes(deployment)) {
+    throw new Error(`Site "${name}": ${label('deployment')} must be one of: ${DEPLOYMENTS.join(', ')}`);
+  }
+  if (!AUTH_TYPES.includes(auth)) {
+    throw new Error(`Site "${name}": ${label('auth')} must be one of: ${AUTH_TYPES.join(', ')}`);
+  }
+  if (auth === 'oauth' && deployment !== 'cloud') {
+    throw new Error(`Site "${name}": OAuth 2.0 (3LO) is only available on Atlassian Cloud; use a Personal Access Token (pat) for Data Center`);
+  }
+
+  const problems = [];
+  if (isMissing(config.confluenceUrl)) {
+    problems.push(label('confluenceUrl'));
+  }
+  if (auth === 'basic' && isMissing(config.username)) {
+    problems.push(label('username'));
+  }
+  if ((auth === 'basic' || auth === 'pat') && isMissing(apiToken)) {
+    problems.push(config.apiTokenEnv ? `${label('apiTokenEnv')} (${config.apiTokenEnv} is not set)` : label('apiToken'));
+  }
+  if (auth === 'oauth') {
+    if (!oauth.cloudId) {
+      problems.push(label('oauth.cloudId'));
+    }
+    if (!oauth.accessToken && !(oauth.refreshToken && oauth.clientId && oauth.clientSecret)) {
+      problems.push(`${label('oauth.accessToken')} (or ${label('oauth.refreshToken')} with ${label('oauth.clientId')} and ${label('oauth.clientSecret')})`);
+    }
+  }
+  if (problems.length > 0) {
+    throw new Error(`Site "${name}" is missing ${problems.join(', ')}`);
+  }
+
+  const confluenceUrl = toBaseUrl(config.confluenceUrl);
+  const jiraUrl = toBaseUrl(config.jiraUrl || config.confluenceUrl);
+
+  // OAuth apps call the site through the api.atlassian.com gateway, addressed by cloud ID
+  let confluenceBaseUrl = deployment === 'cloud' ? `${confluenceUrl}/wiki` : confluenceUrl;
+  let jiraBaseUrl = jiraUrl;
+  if (auth === 'oauth') {
+    confluenceBaseUrl = `${OAUTH_API_URL}/ex/confluence/${oauth.cloudId}/wiki`;
+    jiraBaseUrl = `${OAUTH_API_URL}/ex/jira/${oauth.cloudId}`;
+  }
+
+  return {
+    name,
+    description: config.description || '',
+    deployment,
+    auth,
+    confluenceUrl,
+    jiraUrl,
+    confluenceBaseUrl,
+    jiraBaseUrl,
+    username: config.username || null,
+    apiToken: auth === 'oauth' ? null : apiToken,
+    // Mutable: refreshed access tokens (and rotated refresh tokens) are kept here
+    oauth: auth === 'oauth' ? { ...oauth, expiresAt: oauth.accessToken ? Infinity : 0 } : null,
+    readOnly: Boolean(config.readOnly)
+  };
+}
+
+// Where each single-site setting comes from when there is no sites file
+const ENV_NAMES = {
+  confluenceUrl: 'CONFLUENCE_URL',
+  username: 'ATLASSIAN_USERNAME',
+  apiToken: 'ATLASSIAN_API_TOKEN',
+  deployment: 'ATLASSIAN_DEPLOYMENT',
+  auth: 'ATLASSIAN_AUTH',
+  'oauth.cloudId': 'ATLASSIAN_CLOUD_ID',
+  'oauth.accessToken': 'ATLASSIAN_OAUTH_ACCESS_TOKEN',
+  'oauth.refreshToken': 'ATLASSIAN_OAUTH_REFRESH_TOKEN',
+  'oauth.clientId': 'ATLASSIAN_OAUTH_CLIENT_ID',
+  'oauth.clientSecret': 'ATLASSIAN_OAUTH_CLIENT_SECRET'
+};
+
+/**
+ * Load the site profiles. Returns { defaultSite, sites } where sites maps name → profile.
+ * Throws with a message naming the problem if the file or any profile is invalid.
+ */
+function loadSiteProfiles(env = process.env) {
+  if (!env.ATLASSIAN_SITES_FILE) {
+    const profile = toProfile(DEFAULT_SITE, {
+      confluenceUrl: env.CONFLUENCE_URL,
+      jiraUrl: env.JIRA_URL,
+      username: env.ATLASSIAN_USERNAME,
+      apiToken: env.ATLASSIAN_API_TOKEN,
+      deployment: env.ATLASSIAN_DEPLOYMENT || undefined,
+      auth: env.ATLASSIAN_AUTH || undefined,
+      oauth: {
+        cloudId: env.ATLASSIAN_CLOUD_ID,
+        accessToken: env.ATLASSIAN_OAUTH_ACCESS_TOKEN,
+        refreshToken: env.ATLASSIAN_OAUTH_REFRESH_TOKEN,
+        clientId: env.ATLASSIAN_OAUTH_CLIENT_ID,
+        clientSecret: env.ATLASSIAN_OAUTH_CLIENT_SECRET
+      }
+    }, env, key => ENV_NAMES[key] || key);
+    return { defaultSite: DEFAULT_SITE, sites: new Map([[DEFAULT_SITE, profile]]) };
+  }
+
+  let file;
+  try {
+    file = JSON.parse(fs.readFileSync(env.ATLASSIAN_SITES_FILE, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot load site profiles from ${env.ATLASSIAN_SITES_FILE}: ${error.message}`);
+  }
+
+  const names = Object.keys(file.sites || {});
+  if (names.length === 0) {
+    throw new Error(`${env.ATLASSIAN_SITES_FILE} defines no sites`);
+  }
+  // Site names are typed (or generated) as tool arguments, so near-duplicates are a trap
+  const seen = new Map();
+  for (const name of names) {
+    if (seen.has(name.toLowerCase())) {
+      throw new Error(`Sites "${seen.get(name.toLowerCase())}" and "${name}" in ${env.ATLASSIAN_SITES_FILE} differ only in case`);
+    }
+    seen.set(name.toLowerCase(), name);
+    if (!file.sites[name] || typeof file.sites[name] !== 'object' || Array.isArray(file.sites[name])) {
+      throw new Error(`Site "${name}" in ${env.ATLASSIAN_SITES_FILE} must be an object`);
+    }
+  }
+  const defaultSite = file.default || names[0];
+  if (!names.includes(defaultSite)) {
+    throw new Error(`Default site "${defaultSite}" is not defined in ${env.ATLASSIAN_SITES_FILE}`);
+  }
+
+  return {
+    defaultSite,
+    sites: new Map(names.map(name => [name, toProfile(name, file.sites[name], env)]))
+  };
+}
+
+/**
+ * Per-call site selection. Each tool call runs against one profile through `run`; requests
+ * made while it runs (however deeply awaited) see that profile as `current()`.
+ */
+function createSiteSelector({ defaultSite, sites }) {
+  const context = new AsyncLocalStorage();
+
+  return {
+    // Profile of the site the current call targets (the default site outside calls)
+    current() {
+      return context.getStore() || sites.get(defaultSite);
+    },
+
+    // Profile for an optional site name; an unknown name lists the ones that exist
+    resolve(name) {
+      if (!name) {
+        return sites.get(defaultSite);
+      }
+      const profile = sites.get(name);
+      if (!profile) {
+        throw new Error(`Unknown site "${name}". Available sites: ${[...sites.keys()].join(', ')}`);
+      }
+      return profile;
+    },
+
+    run(site, fn) {
+      return context.run(site, fn);
+    }
+  };
+}
+
+// The Authorization header for a profile. OAuth profiles use their current access token;
+// refreshing it is up to the caller.
+function getAuthorizationHeader(site) {
+  if (site.auth === 'basic') {
+    return 'Basic ' + Buffer.from(`${site.username}:${site.apiToken}`).toString('base64');
+  }
+  // Data Center Personal Access Tokens and OAuth access tokens are both bearer tokens
+  return `Bearer ${site.auth === 'pat' ? site.apiToken : site.oauth.accessToken}`;
+}
+
+module.exports = {
+  DEFAULT_SITE,
+  loadSiteProfiles,
+  createSiteSelector,
+  getAuthorizationHeader
+};
@@ -0,0 +1,145 @@
+/**
+ * Heading-delimited sections of Confluence storage format, used by section updates.
+ *
+ * Sections are found by scanning tags rather than parsing and re-serializing, so the markup
+ * around the section is left byte for byte as it was.
+ */
+
+// Helper: Plain text of a storage fragment, used to compare heading text
+function storageFragmentToText(fragment) {
+  return fragment
+    .replace(/<ac:structured-macro[\s\S]*?<\/ac:structured-macro>/g, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Helper: Anchor names a heading can be linked by: generated heading IDs and explicit anchor macros
+function getHeadingAnchors(headingInner, headingText) {
+  const anchors = [headingText.replace(/\s+/g, '-'), headingText.replace(/\s+/g, '')];
+  const anchorMacroPattern = /<ac:structured-macro[^>]*ac:name="anchor"[^>]*>[\s\S]*?<ac:parameter[^>]*>([\s\S]*?)<\/ac:parameter>/g;
+  let match;
+  while ((match = anchorMacroPattern.exec(headingInner)) !== null) {
+    anchors.push(storageFragmentToText(match[1]));
+  }
+  return anchors.map(anchor => anchor.toLowerCase());
+}
+
+// Helper: Anchor names to look for. Anchors copied from a page URL carry a "PageTitle-" prefix;
+// only that exact prefix is stripped, so "Advanced-Setup" never resolves to a "Setup" heading.
+function getWantedAnchors(anchor, pageTitle) {
+  const wanted = anchor.replace(/^#/, '').toLowerCase();
+  const wantedAnchors = [wanted];
+  if (pageTitle) {
+    for (const titleSlug of new Set([pageTitle.trim().replace(/\s+/g, '-'), pageTitle.replace(/\s+/g, '')])) {
+      const prefix = `${titleSlug.toLowerCase()}-`;
+      if (titleSlug && wanted.startsWith(prefix) && wanted.length > prefix.length) {
+        wantedAnchors.push(wanted.slice(prefix.length));
+      }
+    }
+  }
+  return wantedAnchors;
+}
+
+// Helper: Locate a heading-delimited section in a storage document without re-serializing it.
+// A section runs from its heading to the next heading of the same or a higher level, or to the
+// end of the element that contains the heading (e.g. a layout cell), whichever comes first.
+function findStorageSection(storage, { heading = null, anchor = null, occurrence = null, pageTitle = null } = {}) {
+  const tagPattern = /<!\[CDATA\[[\s\S]*?\]\]>|<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/g;
+  const headings = [];
+  const stack = [];
+  let match;
+
+  while ((match = tagPattern.exec(storage)) !== null) {
+    const [raw, closing, rawTagName, , selfClosing] = match;
+    if (!rawTagName || selfClosing || ['br', 'hr', 'img', 'col'].includes(rawTagName.toLowerCase())) {
+      continue;
+    }
+    const tagName = rawTagName.toLowerCase();
+
+    if (!closing) {
+      stack.push({ tagName, start: match.index, innerStart: match.index + raw.length, depth: stack.length });
+      continue;
+    }
+
+    // Pop back to the matching open tag, tolerating unbalanced markup
+    let openIndex = stack.length - 1;
+    while (openIndex >= 0 && stack[openIndex].tagName !== tagName) {
+      openIndex--;
+    }
+    if (openIndex < 0) {
+      continue;
+    }
+    const open = stack[openIndex];
+    stack.length = openIndex;
+
+    if (/^h[1-6]$/.test(tagName)) {
+      const inner = storage.slice(open.innerStart, match.index);
+      const text = storageFragmentToText(inner);
+      headings.push({
+        level: parseInt(tagName[1], 10),
+        text,
+        anchors: getHeadingAnchors(inner, text),
+        start: open.start,
+        headingEnd: match.index + raw.length,
+        depth: open.depth,
+        containerEnd: null
+      });
+    }
+
+    // Closing a container ends every section that started inside it
+    for (const candidate of headings) {
+      if (candidate.containerEnd === null && candidate.depth > open.depth && candidate.start > open.start) {
+        candidate.containerEnd = match.index;
+      }
+    }
+  }
+
+  const wantedHeading = heading ? heading.replace(/\s+/g, ' ').trim().toLowerCase() : null;
+  const wantedAnchors = anchor ? getWantedAnchors(anchor, pageTitle) : [];
+  const matches = headings.filter(candidate =>
+    (wantedHeading && candidate.text.toLowerCase() === wantedHeading) ||
+    candidate.anchors.some(name => wantedAnchors.includes(name))
+  );
+
+  if (matches.length === 0) {
+    const available = headings.map(candidate => `"${candidate.text}"`).join(', ') || 'none';
+    throw new Error(`Section "${heading || anchor}" not found. Headings on this page: ${available}`);
+  }
+
+  if (matches.length > 1 && !occurrence) {
+    throw new Error(`Section "${heading || anchor}" matches ${matches.length} headings. Pass occurrence (1-${matches.length}) to pick one.`);
+  }
+
+  const index = occurrence ? parseInt(occurrence, 10) - 1 : 0;
+  const section = matches[index];
+  if (!section) {
+    throw new Error(`Occurrence ${occurrence} is out of range, section "${heading || anchor}" matches ${matches.length} headings`);
+  }
+
+  // The section ends at the next heading of the same or a higher level in the same container
+  const containerEnd = section.containerEnd === null ? storage.length : section.containerEnd;
+  const nextHeading = headings.find(candidate =>
+    candidate.start >= section.headingEnd &&
+    candidate.start < containerEnd &&
+    candidate.level <= section.level
+  );
+
+  return {
+    heading: section.text,
+    level: section.level,
+    start: section.start,
+    bodyStart: section.headingEnd,
+    end: nextHeading ? nextHeading.start : containerEnd
+  };
+}
+
+module.exports = {
+  findStorageSection
+};
@@ -141,9 +141,36 @@ async function testEnhancedServerWithMocks() {
       'confluence_create_page',
       'confluence_update_page',
       'confluence_patch_update',
+      'confluence_update_section',
+      'confluence_get_page_versions',
+      'confluence_get_page_version',
+      'confluence_diff_page_versions',
+      'confluence_restore_page_version',
+      'confluence_get_children',
+      'confluence_get_page_tree',
+      'confluence_move_page',
+      'confluence_list_spaces',
+      'confluence_get_space',
+      'confluence_get_labels',
+      'confluence_add_labels',
+      'confluence_remove_labels',
+      'confluence_find_pages_by_label',
+      'confluence_get_comments',
+      'confluence_add_comment',
+      'confluence_reply_to_comment',
+      'confluence_resolve_comment',
       'confluence_get_attachments',
       'confluence_download_attachment',
-      'confluence_get_page_with_attachments'
+      'confluence_upload_attachment',
+      'confluence_get_page_with_attachments',
+      'confluence_audit_log',
+      'jira_search',
+      'jira_get_issue',
+      'jira_create_issue',
+      'jira_update_issue',
+      'jira_transition_issue',
+      'jira_add_comment',
+      'list_sites'
     ];
     
     for (const tool of expectedTools) {
@@ -198,25 +225,57 @@ async function testEnhancedServerWithMocks() {
   }
 }
 
-// Test the download script (also with mocks)
-async function testDownloadScriptWithMocks() {
-  console.log('\n🔄 Testing Download Script (MOCKED)...');
+// Test how the download script maps a page hierarchy onto folders, with a stub client
+// standing in for the spawned server (no server process, no API calls)
+async function testDownloadScript() {
+  console.log('\n🔄 Testing Download Script:');
   
   try {
-    // Test that the download module can be loaded
-    const downloadModule = require('./download-with-assets.js');
-    console.log('✅ Download script loads successfully');
+    const path = require('path');
+    const { fetchPageTree, assignFolders } = require('./download-with-assets.js');
     
-    if (typeof downloadModule.downloadPageWithAssets === 'function') {
-      console.log('✅ downloadPageWithAssets function available');
-    }
+    const children = {
+      '1': [
+        { id: '2', title: 'Design / Notes' },
+        { id: '3', title: 'Same' },
+        { id: '4', title: 'same' },
+        { id: '5', title: '...' }
+      ],
+      '3': [{ id: '6', title: 'Deep' }, { id: '1', title: 'Loop back to the root' }]
+    };
+    // Hands out children two at a time, like a paginated confluence_get_children
+    const client = {
+      callTool: async (toolName, { pageId, start }) => {
+        const all = children[pageId] || [];
+        const batch = all.slice(start, start + 2);
+        return { content: [{ text: JSON.stringify({ children: batch, size: batch.length, hasMore: start + batch.length < all.length }) }] };
+      }
+    };
     
-    if (typeof downloadModule.downloadPageHierarchy === 'function') {
-      console.log('✅ downloadPageHierarchy function available');
+    const tree = await fetchPageTree(client, { id: '1', title: 'Root Page' });
+    if (tree.children.map(child => child.id).join(',') !== '2,3,4,5' ||
+        tree.children[1].children.map(child => child.id).join(',') !== '6' ||
+        tree.children[1].children[0].parentId !== '3' || tree.children[1].children[0].depth !== 2) {
+      console.log('❌ Page tree was not built from every batch of children');
+      return false;
     }
+    console.log('✅ Page tree built across batches of children, without following loops');
     
-    // Note: The download script uses its own MCPClient mock, so it's safe to test
-    console.log('✅ Download script uses internal mocks (safe for testing)');
+    assignFolders(tree, 'export');
+    const dirs = [tree, ...tree.children, tree.children[1].children[0]].map(node => node.dir.split(path.sep).join('/'));
+    const expected = [
+      'export/Root_Page',
+      'export/Root_Page/Design_Notes',
+      'export/Root_Page/Same',
+      'export/Root_Page/same_4',
+      'export/Root_Page/page_5',
+      'export/Root_Page/Same/Deep'
+    ];
+    if (dirs.join('|') !== expected.join('|')) {
+      console.log('❌ Pages were not mapped to the expected folders:', dirs);
+      return false;
+    }
+    console.log('✅ Pages mapped to nested folders, clashing and unusable titles made unique');
     
     return true;
   } catch (error) {
@@ -275,6 +334,582 @@ async function testInputValidation() {
   }
 }
 
+// Test storage <-> Markdown conversion (pure functions, no API calls)
+async function testMarkdownConversion() {
+  console.log('\n📝 Testing Markdown Conversion:');
+  
+  try {
+    const { storageToMarkdown, markdownToStorage, storageToText } = require('./confluence-markdown.js');
+    
+    const storage = [
+      '<h2>Setup</h2>',
+      '<p>Run the <strong>installer</strong> from <a href="https://example.com">here</a>.</p>',
+      '<ul><li>one</li><li>two</li></ul>',
+      '<table><tbody><tr><th>Name</th><th>Value</th></tr><tr><td>a</td><td>b</td></tr></tbody></table>',
+      '<ac:structured-macro ac:name="code"><ac:parameter ac:name="language">bash</ac:parameter>',
+      '<ac:plain-text-body><![CDATA[npm install\nnpm test]]></ac:plain-text-body></ac:structured-macro>',
+      '<p><ac:image><ri:attachment ri:filename="diagram.png" /></ac:image></p>',
+      '<ac:structured-macro ac:name="toc" />'
+    ].join('');
+    
+    const markdown = storageToMarkdown(storage);
+    const expectedFragments = [
+      '## Setup',
+      '**installer**',
+      '[here](https://example.com)',
+      '| Name | Value |',
+      '```bash\nnpm install\nnpm test\n```',
+      '![diagram.png](diagram.png)',
+      '```confluence-storage'
+    ];
+    for (const fragment of expectedFragments) {
+      if (!markdown.includes(fragment)) {
+        console.log(`❌ Markdown output is missing: ${fragment}`);
+        return false;
+      }
+    }
+    console.log('✅ Storage format converted to Markdown');
+    
+    const roundTripped = markdownToStorage(markdown);
+    if (storageToMarkdown(roundTripped) !== markdown) {
+      console.log('❌ Markdown round trip is not stable');
+      return false;
+    }
+    if (!roundTripped.includes('<ri:attachment ri:filename="diagram.png" />') ||
+        !roundTripped.includes('<ac:structured-macro ac:name="code">')) {
+      console.log('❌ Images or code macros lost in Markdown -> storage conversion');
+      return false;
+    }
+    console.log('✅ Markdown converted back to storage format (round trip stable)');
+    
+    const text = storageToText(storage);
+    if (!text.includes('Run the installer from here.') || !text.includes('Name\tValue\na\tb\n')) {
+      console.log('❌ Plain text conversion failed');
+      return false;
+    }
+    console.log('✅ Storage format converted to plain text');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Markdown conversion test failed:', error.message);
+    return false;
+  }
+}
+
+// Test the three-way merge behind patch updates (pure function, no API calls)
+async function testThreeWayMerge() {
+  console.log('\n🔀 Testing Three-Way Merge:');
+  
+  try {
+    const { mergeThreeWay } = require('./three-way-merge.js');
+    const base = '<p>one</p><p>two</p><p>three</p>';
+    
+    const disjoint = mergeThreeWay(base, '<p>ONE</p><p>two</p><p>three</p>', '<p>one</p><p>two</p><p>THREE</p>');
+    if (!disjoint.clean || disjoint.merged !== '<p>ONE</p><p>two</p><p>THREE</p>') {
+      console.log('❌ Disjoint edits were not merged cleanly:', disjoint.merged);
+      return false;
+    }
+    console.log('✅ Edits to separate blocks merged cleanly');
+    
+    const overlapping = mergeThreeWay(base, '<p>one</p><p>2 (theirs)</p><p>three</p>', '<p>one</p><p>2 (ours)</p><p>three</p>');
+    if (overlapping.clean || overlapping.conflicts.length !== 1 ||
+        overlapping.conflicts[0].current !== '<p>2 (theirs)</p>' || overlapping.conflicts[0].yours !== '<p>2 (ours)</p>' ||
+        overlapping.merged !== '<p>one</p><p>2 (theirs)</p><p>three</p>') {
+      console.log('❌ Overlapping edits were not reported as a conflict');
+      return false;
+    }
+    console.log('✅ Overlapping edits reported as a conflict, keeping the current text');
+    
+    const inserts = mergeThreeWay(base, '<p>one</p><p>theirs</p><p>two</p><p>three</p>', '<p>one</p><p>ours</p><p>two</p><p>three</p>');
+    if (inserts.clean || inserts.conflicts.length !== 1 || inserts.conflicts[0].base !== '') {
+      console.log('❌ Different inserts at the same point were not reported as a conflict');
+      return false;
+    }
+    console.log('✅ Different inserts at the same point reported as a conflict');
+    
+    const identical = mergeThreeWay(base, '<p>one</p><p>TWO</p><p>three</p><p>four</p>', '<p>one</p><p>TWO</p><p>three</p><p>four</p>');
+    if (!identical.clean || identical.merged !== '<p>one</p><p>TWO</p><p>three</p><p>four</p>') {
+      console.log('❌ Identical changes on both sides were not merged once:', identical.merged);
+      return false;
+    }
+    console.log('✅ Identical changes on both sides merged once');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Three-way merge test failed:', error.message);
+    return false;
+  }
+}
+
+// Test the version-aware content cache, with a temp directory for the disk layer (no API calls)
+async function testContentCache() {
+  console.log('\n🗄️ Testing Content Cache:');
+  
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'content-cache-test-'));
+  
+  try {
+    const { createContentCache } = require('./content-cache.js');
+    const blob = (size) => ({ buffer: Buffer.alloc(size, 1), contentType: 'application/octet-stream' });
+    
+    const fresh = createContentCache({ ttlMs: 60000 });
+    const expired = createContentCache({ ttlMs: 0 });
+    fresh.markCurrent('1', 7);
+    expired.markCurrent('1', 7);
+    if (fresh.freshVersion('1') !== 7 || expired.freshVersion('1') !== null || fresh.freshVersion('2') !== null) {
+      console.log('❌ Current version was not remembered for the TTL only');
+      return false;
+    }
+    fresh.invalidate('1');
+    if (fresh.freshVersion('1') !== null) {
+      console.log('❌ Invalidated id still had a current version');
+      return false;
+    }
+    console.log('✅ Current version remembered for the TTL, forgotten on invalidate');
+    
+    const byCount = createContentCache({ maxEntries: 2 });
+    await byCount.set('page', 'a', 1, { title: 'A' });
+    await byCount.set('page', 'b', 1, { title: 'B' });
+    await byCount.get('page', 'a', 1);
+    await byCount.set('page', 'c', 1, { title: 'C' });
+    const byBytes = createContentCache({ maxBytes: 100 });
+    for (const id of ['a', 'b', 'c', 'd', 'e', 'f']) {
+      await byBytes.set('attachment', id, 1, blob(20));
+    }
+    if (!await byCount.get('page', 'a', 1) || await byCount.get('page', 'b', 1) || !await byCount.get('page', 'c', 1) ||
+        await byBytes.get('attachment', 'a', 1) || !await byBytes.get('attachment', 'b', 1) || byBytes.stats().memoryBytes !== 100) {
+      console.log('❌ Least recently used entries were not evicted by count and bytes');
+      return false;
+    }
+    await byBytes.set('attachment', 'big', 1, blob(26));
+    if (await byBytes.get('attachment', 'big', 1) || byBytes.stats().memoryEntries !== 5) {
+      console.log('❌ A blob over the memory share was kept in memory');
+      return false;
+    }
+    console.log('✅ Least recently used entries evicted by count and bytes; oversize blobs bypass memory');
+    
+    const writer = createContentCache({ maxBytes: 0, dir: tempDir, scope: () => 'site-a' });
+    await writer.set('page', '1', 3, { id: '1', title: 'Cached' });
+    await writer.set('attachment', '9', 2, { buffer: Buffer.from('bytes'), contentType: 'text/plain' });
+    const reader = createContentCache({ maxBytes: 0, dir: tempDir, scope: () => 'site-a' });
+    const otherSite = createContentCache({ maxBytes: 0, dir: tempDir, scope: () => 'site-b' });
+    const page = await reader.get('page', '1', 3);
+    const attachment = await reader.get('attachment', '9', 2);
+    if (page?.title !== 'Cached' || attachment?.buffer.toString() !== 'bytes' || attachment.contentType !== 'text/plain' ||
+        reader.stats().diskHits !== 2 || await otherSite.get('page', '1', 3)) {
+      console.log('❌ Entries did not survive a restart through the cache directory, per site');
+      return false;
+    }
+    console.log('✅ Entries survive a restart through the cache directory, per site');
+    
+    // Each blob takes 142 bytes on disk (data plus metadata), so a third one goes past 300
+    const pruneDir = path.join(tempDir, 'prune');
+    const pruned = createContentCache({ maxBytes: 0, dir: pruneDir, diskMaxBytes: 300 });
+    const age = (id, seconds) => {
+      const time = new Date(Date.now() - seconds * 1000);
+      for (const name of fs.readdirSync(path.join(pruneDir, 'attachment')).filter(name => name.startsWith(`%2F${id}@`))) {
+        fs.utimesSync(path.join(pruneDir, 'attachment', name), time, time);
+      }
+    };
+    await pruned.set('attachment', 'old', 1, blob(100));
+    age('old', 2000);
+    await pruned.set('attachment', 'mid', 1, blob(100));
+    age('mid', 1000);
+    await pruned.set('attachment', 'new', 1, blob(100));
+    if (await pruned.get('attachment', 'old', 1) || !await pruned.get('attachment', 'mid', 1) || !await pruned.get('attachment', 'new', 1)) {
+      console.log('❌ The cache directory was not pruned oldest-first');
+      return false;
+    }
+    console.log('✅ Cache directory pruned oldest-first past its size limit');
+    
+    const evicting = createContentCache({ dir: path.join(tempDir, 'evict') });
+    await evicting.set('page', '5', 1, { title: 'v1' });
+    await evicting.set('page', '5', 2, { title: 'v2' });
+    await evicting.set('page', '55', 1, { title: 'other' });
+    evicting.markCurrent('5', 2);
+    await evicting.evict('5');
+    const restarted = createContentCache({ maxBytes: 0, dir: path.join(tempDir, 'evict') });
+    if (evicting.freshVersion('5') !== null || await evicting.get('page', '5', 1) || await evicting.get('page', '5', 2) ||
+        await restarted.get('page', '5', 2) || (await restarted.get('page', '55', 1))?.title !== 'other') {
+      console.log('❌ Evict did not drop every version of only that id');
+      return false;
+    }
+    console.log('✅ Evict drops every version of an id from memory and disk, and nothing else');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Content cache test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Test loading and validating site profiles, and per-call site selection (no API calls)
+async function testSiteProfiles() {
+  console.log('\n🌐 Testing Site Profiles:');
+  
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-profiles-test-'));
+  
+  try {
+    const { loadSiteProfiles, createSiteSelector } = require('./site-profiles.js');
+    const sitesFile = path.join(tempDir, 'sites.json');
+    const loadFile = (contents, env = {}) => {
+      fs.writeFileSync(sitesFile, JSON.stringify(contents));
+      return loadSiteProfiles({ ATLASSIAN_SITES_FILE: sitesFile, ...env });
+    };
+    const errorOf = (load) => {
+      try {
+        load();
+        return null;
+      } catch (error) {
+        return error.message;
+      }
+    };
+    const prod = { confluenceUrl: 'https://acme.atlassian.net', username: 'me@acme.com', apiTokenEnv: 'PROD_TOKEN' };
+    const sandbox = { confluenceUrl: 'https://acme-sandbox.atlassian.net', username: 'me@acme.com', apiToken: 'inline' };
+    
+    const invalid = [
+      [() => loadSiteProfiles({ ATLASSIAN_USERNAME: 'me@acme.com', ATLASSIAN_API_TOKEN: 'token' }), 'missing CONFLUENCE_URL'],
+      [() => loadSiteProfiles({ CONFLUENCE_URL: 'https://acme.atlassian.net', ATLASSIAN_USERNAME: 'me@acme.com', ATLASSIAN_API_TOKEN: 'your-api-token-here' }), 'missing ATLASSIAN_API_TOKEN'],
+      [() => loadFile({ default: 'staging', sites: { prod } }, { PROD_TOKEN: 'x' }), 'Default site "staging" is not defined'],
+      [() => loadFile({ sites: {} }), 'defines no sites'],
+      [() => loadFile({ sites: { prod, Prod: sandbox } }, { PROD_TOKEN: 'x' }), 'differ only in case'],
+      [() => loadFile({ sites: { prod: 'https://acme.atlassian.net' } }), 'must be an object'],
+      [() => loadFile({ sites: { prod } }), 'PROD_TOKEN is not set'],
+      [() => loadFile({ sites: { prod: { ...sandbox, deployment: 'server' } } }), 'deployment must be one of: cloud, datacenter'],
+      [() => loadFile({ sites: { prod: { ...sandbox, deployment: 'datacenter', auth: 'oauth' } } }), 'only available on Atlassian Cloud'],
+      [() => loadFile({ sites: { prod: { confluenceUrl: 'https://acme.atlassian.net', auth: 'oauth', oauth: { cloudId: 'abc' } } } }), 'missing oauth.accessToken']
+    ];
+    for (const [load, expected] of invalid) {
+      const message = errorOf(load);
+      if (!message || !message.includes(expected)) {
+        console.log(`❌ Invalid profile not rejected with "${expected}":`, message);
+        return false;
+      }
+    }
+    console.log('✅ Missing settings, a missing default, duplicate and invalid profiles rejected by name');
+    
+    const profiles = loadFile({ default: 'sandbox', sites: { prod, sandbox } }, { PROD_TOKEN: 'from-env' });
+    if (profiles.defaultSite !== 'sandbox' || profiles.sites.get('prod').apiToken !== 'from-env' ||
+        loadFile({ sites: { prod, sandbox } }, { PROD_TOKEN: 'x' }).defaultSite !== 'prod') {
+      console.log('❌ Profiles did not load with their default site and tokens');
+      return false;
+    }
+    console.log('✅ Profiles loaded with the named (or first) default site and tokens from the environment');
+    
+    const selector = createSiteSelector(profiles);
+    if (selector.resolve().name !== 'sandbox' || selector.resolve('prod').name !== 'prod' ||
+        errorOf(() => selector.resolve('staging')) !== 'Unknown site "staging". Available sites: prod, sandbox') {
+      console.log('❌ Site names were not resolved to profiles');
+      return false;
+    }
+    const siteAfterAwaits = (site, delayMs) => selector.run(selector.resolve(site), async () => {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      return selector.current().name;
+    });
+    const concurrent = await Promise.all([siteAfterAwaits('prod', 20), siteAfterAwaits('sandbox', 5)]);
+    if (concurrent.join(',') !== 'prod,sandbox' || selector.current().name !== 'sandbox') {
+      console.log('❌ Concurrent calls did not each keep their own site:', concurrent);
+      return false;
+    }
+    console.log('✅ Each call keeps its own site across awaits, the default applies outside calls');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Site profiles test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Test the REST base URLs and Authorization header per deployment type (no API calls)
+async function testSiteUrls() {
+  console.log('\n🔗 Testing Site URLs and Auth:');
+  
+  try {
+    const { loadSiteProfiles, getAuthorizationHeader } = require('./site-profiles.js');
+    const siteFrom = (env) => loadSiteProfiles(env).sites.get('default');
+    
+    const cloud = siteFrom({ CONFLUENCE_URL: 'https://acme.atlassian.net/', ATLASSIAN_USERNAME: 'me@acme.com', ATLASSIAN_API_TOKEN: 'token' });
+    if (cloud.confluenceBaseUrl !== 'https://acme.atlassian.net/wiki' || cloud.jiraBaseUrl !== 'https://acme.atlassian.net' ||
+        getAuthorizationHeader(cloud) !== `Basic ${Buffer.from('me@acme.com:token').toString('base64')}`) {
+      console.log('❌ Cloud site did not resolve to /wiki with basic auth:', cloud.confluenceBaseUrl);
+      return false;
+    }
+    console.log('✅ Cloud: Confluence under /wiki, basic auth');
+    
+    const dataCenter = siteFrom({
+      CONFLUENCE_URL: 'https://intranet.acme.com/confluence//',
+      JIRA_URL: 'https://intranet.acme.com/jira',
+      ATLASSIAN_API_TOKEN: 'pat-token',
+      ATLASSIAN_DEPLOYMENT: 'datacenter'
+    });
+    if (dataCenter.confluenceBaseUrl !== 'https://intranet.acme.com/confluence' || dataCenter.jiraBaseUrl !== 'https://intranet.acme.com/jira' ||
+        getAuthorizationHeader(dataCenter) !== 'Bearer pat-token') {
+      console.log('❌ Data Center site did not keep its context path with a PAT:', dataCenter.confluenceBaseUrl);
+      return false;
+    }
+    console.log('✅ Data Center: context path kept, no /wiki, Personal Access Token');
+    
+    const oauth = siteFrom({
+      CONFLUENCE_URL: 'https://acme.atlassian.net',
+      ATLASSIAN_AUTH: 'oauth',
+      ATLASSIAN_CLOUD_ID: 'cloud-123',
+      ATLASSIAN_OAUTH_ACCESS_TOKEN: 'access-token'
+    });
+    if (oauth.confluenceBaseUrl !== 'https://api.atlassian.com/ex/confluence/cloud-123/wiki' ||
+        oauth.jiraBaseUrl !== 'https://api.atlassian.com/ex/jira/cloud-123' ||
+        getAuthorizationHeader(oauth) !== 'Bearer access-token') {
+      console.log('❌ OAuth site did not go through the api.atlassian.com gateway:', oauth.confluenceBaseUrl);
+      return false;
+    }
+    console.log('✅ OAuth: api.atlassian.com gateway by cloud ID, bearer access token');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Site URL test failed:', error.message);
+    return false;
+  }
+}
+
+// Test querying the audit log from a temp JSONL file (no API calls)
+async function testAuditLog() {
+  console.log('\n📜 Testing Audit Log:');
+  
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+  
+  try {
+    const { createAuditLog } = require('./audit-log.js');
+    const auditLog = createAuditLog(path.join(tempDir, 'logs', 'audit.jsonl'));
+    const entry = (minute, tool, site, outcome, pageId) => ({
+      timestamp: `2026-03-01T10:${String(minute).padStart(2, '0')}:00.000Z`,
+      tool,
+      site,
+      outcome,
+      session: minute < 30 ? 'first' : 'second',
+      target: { pageId, spaceKey: 'DEV' }
+    });
+    
+    await auditLog.append(entry(0, 'confluence_update_page', 'prod', 'success', '1'));
+    await auditLog.append(entry(10, 'confluence_create_page', 'sandbox', 'success', '2'));
+    // A write cut short by a crash, and a blank line, between valid entries
+    fs.appendFileSync(auditLog.filePath, '{"timestamp":"2026-03-01T10:15:00.000Z","tool":"confl\n\n');
+    await auditLog.append(entry(20, 'confluence_update_page', 'prod', 'denied', '1'));
+    await auditLog.append(entry(40, 'confluence_update_page', 'sandbox', 'error', '3'));
+    await auditLog.append(entry(50, 'confluence_update_page', 'prod', 'success', '1'));
+    
+    const minutes = async (filters) => (await auditLog.query(filters)).entries.map(found => found.timestamp.slice(14, 16)).join(',');
+    const checks = [
+      ['all, newest first, corrupt line skipped', {}, '50,40,20,10,00'],
+      ['tool', { tool: 'confluence_create_page' }, '10'],
+      ['site', { site: 'prod' }, '50,20,00'],
+      ['outcome', { outcome: 'success' }, '50,10,00'],
+      ['time range', { since: '2026-03-01T10:10:00Z', until: '2026-03-01T10:40:00Z' }, '40,20,10'],
+      ['combined', { tool: 'confluence_update_page', site: 'prod', outcome: 'success', pageId: '1' }, '50,00'],
+      ['session and limit', { session: 'first', limit: 2 }, '20,10']
+    ];
+    for (const [label, filters, expected] of checks) {
+      const actual = await minutes(filters);
+      if (actual !== expected) {
+        console.log(`❌ Audit log filter "${label}" returned ${actual}, expected ${expected}`);
+        return false;
+      }
+    }
+    if ((await auditLog.query({ session: 'first', limit: 2 })).matched !== 3) {
+      console.log('❌ Audit log did not count every match beyond the limit');
+      return false;
+    }
+    console.log('✅ Entries filtered by tool, site, outcome, page, session and time range, newest first');
+    
+    for (const filters of [{ outcome: 'maybe' }, { since: 'yesterday' }, { until: 'later' }]) {
+      try {
+        await auditLog.query(filters);
+        console.log('❌ Invalid audit log filter accepted:', filters);
+        return false;
+      } catch (error) {
+        // Expected
+      }
+    }
+    const missing = await createAuditLog(path.join(tempDir, 'missing.jsonl')).query();
+    if (missing.entries.length !== 0 || missing.matched !== 0) {
+      console.log('❌ A missing audit log did not read as empty');
+      return false;
+    }
+    console.log('✅ Corrupt lines skipped, invalid filters rejected, a missing log reads as empty');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Audit log test failed:', error.message);
+    return false;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// Test the retry timing used by atlassianRequest (pure functions, no API calls)
+async function testRetryTiming() {
+  console.log('\n⏳ Testing Retry Timing:');
+  
+  try {
+    const { RETRY_MAX_DELAY_MS, RETRY_AFTER_MAX_MS, getBackoffDelay, parseRetryAfter, getRetryDelay } = require('./request-retry.js');
+    
+    const almostOne = () => 0.999999;
+    if (getBackoffDelay(0, () => 0) !== 0 || getBackoffDelay(0, almostOne) !== 499 ||
+        getBackoffDelay(3, almostOne) !== 3999 || getBackoffDelay(20, almostOne) !== RETRY_MAX_DELAY_MS - 1) {
+      console.log('❌ Backoff did not double per attempt up to the cap');
+      return false;
+    }
+    console.log('✅ Backoff doubles per attempt, with jitter, up to the cap');
+    
+    const now = Date.parse('2026-01-01T00:00:00Z');
+    const checks = [
+      [parseRetryAfter('5', now), 5000],
+      [parseRetryAfter('0.5', now), 500],
+      [parseRetryAfter('-3', now), 0],
+      [parseRetryAfter('Thu, 01 Jan 2026 00:00:10 GMT', now), 10000],
+      [parseRetryAfter('Wed, 31 Dec 2025 23:59:00 GMT', now), 0],
+      [parseRetryAfter('soon', now), null],
+      [parseRetryAfter(null, now), null]
+    ];
+    if (checks.some(([actual, expected]) => actual !== expected)) {
+      console.log('❌ Retry-After parsed wrongly:', checks.map(([actual]) => actual));
+      return false;
+    }
+    console.log('✅ Retry-After parsed as seconds or an HTTP date');
+    
+    if (getRetryDelay('2', 5, almostOne) !== 2000 || getRetryDelay('86400', 0) !== RETRY_AFTER_MAX_MS ||
+        getRetryDelay('soon', 1, almostOne) !== 999) {
+      console.log('❌ Retry delay did not prefer a usable Retry-After over backoff');
+      return false;
+    }
+    console.log('✅ Retry-After wins over backoff, capped; backoff when it is missing or unusable');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Retry timing test failed:', error.message);
+    return false;
+  }
+}
+
+// Test how section updates locate a section by heading or anchor (pure function, no API calls)
+async function testFindStorageSection() {
+  console.log('\n📑 Testing Section Lookup:');
+  
+  try {
+    const { findStorageSection } = require('./storage-sections.js');
+    const storage = '<h2>Setup</h2><p>basic</p><h2>Usage</h2><p>run it</p><h3>Details</h3><p>more</p><h2>FAQ</h2>';
+    
+    const setup = findStorageSection(storage, { anchor: 'Setup', pageTitle: 'Install Guide' });
+    if (storage.slice(setup.bodyStart, setup.end) !== '<p>basic</p>') {
+      console.log('❌ Anchor did not resolve to its own section');
+      return false;
+    }
+    const usage = findStorageSection(storage, { anchor: '#InstallGuide-Usage', pageTitle: 'Install Guide' });
+    if (storage.slice(usage.bodyStart, usage.end) !== '<p>run it</p><h3>Details</h3><p>more</p>') {
+      console.log('❌ Anchor with the page title prefix did not resolve, or the section stopped at a lower heading');
+      return false;
+    }
+    console.log('✅ Anchors resolve with and without the page title prefix');
+    
+    for (const anchor of ['Advanced-Setup', 'Quick-Usage', 'Guide-Setup']) {
+      try {
+        findStorageSection(storage, { anchor, pageTitle: 'Install Guide' });
+        console.log(`❌ Anchor "${anchor}" matched a heading whose anchor is only its suffix`);
+        return false;
+      } catch (error) {
+        if (!error.message.includes('not found')) {
+          throw error;
+        }
+      }
+    }
+    const advanced = findStorageSection(`${storage}<h2>Advanced Setup</h2><p>expert</p>`, { anchor: 'Advanced-Setup', pageTitle: 'Install Guide' });
+    if (advanced.heading !== 'Advanced Setup') {
+      console.log('❌ Anchor "Advanced-Setup" did not pick the "Advanced Setup" heading');
+      return false;
+    }
+    console.log('✅ Anchors never match a heading whose anchor is only their suffix');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Section lookup test failed:', error.message);
+    return false;
+  }
+}
+
+// Test the write policy rules and confirmation tokens (pure functions, no API calls)
+async function testWritePolicy() {
+  console.log('\n🚦 Testing Write Policy:');
+  
+  try {
+    const { loadWritePolicy, evaluateLocation, createConfirmationToken, isValidConfirmationToken } = require('./write-policy.js');
+    
+    const policy = loadWritePolicy({
+      CONFLUENCE_ALLOW_SPACES: 'DEV',
+      CONFLUENCE_DENY_PAGE_TREES: '500',
+      CONFLUENCE_ALLOW_PAGE_TREES: '500'
+    });
+    if (evaluateLocation(policy, { spaceKey: 'DEV', pageIds: ['600', '500', '100'] }).allowed) {
+      console.log('❌ A page under a denied tree was allowed by an allow rule');
+      return false;
+    }
+    if (evaluateLocation(loadWritePolicy({ CONFLUENCE_ALLOW_SPACES: 'hr', CONFLUENCE_DENY_SPACES: 'HR' }), { spaceKey: 'HR' }).allowed) {
+      console.log('❌ A denied space was allowed by an allow rule');
+      return false;
+    }
+    if (!evaluateLocation(policy, { spaceKey: 'dev', pageIds: ['700', '100'] }).allowed) {
+      console.log('❌ A page in an allowed space was refused');
+      return false;
+    }
+    console.log('✅ Deny rules win over allow rules');
+    
+    // A create is checked against its parent and the parent's ancestors; at the space root there are none
+    const treePolicy = loadWritePolicy({ CONFLUENCE_ALLOW_PAGE_TREES: '100' });
+    if (!evaluateLocation(treePolicy, { spaceKey: 'DOCS', pageIds: ['300', '200', '100'] }).allowed) {
+      console.log('❌ A create under an allowed page tree was refused');
+      return false;
+    }
+    if (evaluateLocation(treePolicy, { spaceKey: 'DOCS', pageIds: [] }).allowed) {
+      console.log('❌ A create at the space root passed a page-tree allow rule');
+      return false;
+    }
+    console.log('✅ Creates pass under an allowed page tree and fail at the space root');
+    
+    const secret = 'test-secret';
+    const args = { pageId: '123', title: 'Title', content: '<p>x</p>', site: 'prod' };
+    const confirmed = { ...args, confirmationToken: createConfirmationToken(secret, 'confluence_update_page', args) };
+    if (!isValidConfirmationToken(secret, 'confluence_update_page', confirmed)) {
+      console.log('❌ A confirmation token was rejected for the previewed call');
+      return false;
+    }
+    const changedCalls = [
+      ['confluence_update_page', { ...confirmed, content: '<p>y</p>' }],
+      ['confluence_update_page', { ...confirmed, site: 'sandbox' }],
+      ['confluence_update_page', { ...confirmed, minorEdit: true }],
+      ['confluence_patch_update', confirmed]
+    ];
+    if (changedCalls.some(([name, changedArgs]) => isValidConfirmationToken(secret, name, changedArgs))) {
+      console.log('❌ A confirmation token was accepted after the call changed');
+      return false;
+    }
+    console.log('✅ Confirmation tokens fail once any argument (including site) changes');
+    
+    return true;
+  } catch (error) {
+    console.log('❌ Write policy test failed:', error.message);
+    return false;
+  }
+}
+
 // Main execution
 async function main() {
   console.log('🎯 Enhanced Confluence MCP Server Test Suite (SAFE MODE)');
@@ -290,14 +925,23 @@ async function main() {
   
   try {
     const serverTest = await testEnhancedServerWithMocks();
-    const downloadTest = await testDownloadScriptWithMocks();
+    const downloadTest = await testDownloadScript();
     const validationTest = await testInputValidation();
+    const markdownTest = await testMarkdownConversion();
+    const mergeTest = await testThreeWayMerge();
+    const siteTest = await testSiteProfiles();
+    const siteUrlTest = await testSiteUrls();
+    const retryTest = await testRetryTiming();
+    const auditTest = await testAuditLog();
+    const cacheTest = await testContentCache();
+    const sectionTest = await testFindStorageSection();
+    const policyTest = await testWritePolicy();
     
     // Clear timeout since tests completed
     clearTimeout(timeout);
     
     console.log('\n' + '='.repeat(60));
-    if (serverTest && downloadTest && validationTest) {
+    if (serverTest && downloadTest && validationTest && markdownTest && mergeTest && siteTest && siteUrlTest && retryTest && auditTest && cacheTest && sectionTest && policyTest) {
       console.log('🎉 All tests passed! Your enhanced MCP server is ready.');
       console.log('\n✅ Comprehensive Testing Complete:');
       console.log('   🔒 Zero impact on real Confluence instance');
@@ -0,0 +1,180 @@
+/**
+ * Three-way merge of Confluence storage format, used by patch updates when the page changed
+ * after the caller read it.
+ *
+ * Both versions are diffed against the common base in merge units (lines, or block-level
+ * elements when storage is on one line). Hunks that do not touch are combined; overlapping
+ * ones, including insertions at the same point, are conflicts unless both sides made the
+ * same change.
+ */
+
+const { diffArrays } = require('diff');
+
+// Split storage into merge units. Storage is often a single line, so besides
+// newlines we also break after closing block-level tags; joining the units gives back
+// the exact original string.
+function splitMergeUnits(content) {
+  return content.match(/[\s\S]*?(?:\n|<\/(?:p|h[1-6]|li|ul|ol|tr|table|pre|blockquote|div|ac:structured-macro|ac:layout-section|ac:task-list)>|$)/g)
+    .filter(unit => unit !== '');
+}
+
+// Describe how `other` differs from `base` as hunks in base coordinates
+function getChangeHunks(base, other) {
+  const hunks = [];
+  let baseIndex = 0;
+  let current = null;
+
+  for (const part of diffArrays(base, other)) {
+    if (!part.added && !part.removed) {
+      if (current) {
+        hunks.push(current);
+        current = null;
+      }
+      baseIndex += part.count;
+      continue;
+    }
+
+    if (!current) {
+      current = { start: baseIndex, end: baseIndex, lines: [] };
+    }
+    if (part.removed) {
+      baseIndex += part.count;
+      current.end = baseIndex;
+    } else {
+      current.lines.push(...part.value);
+    }
+  }
+
+  if (current) {
+    hunks.push(current);
+  }
+  return hunks;
+}
+
+// Two hunks touch when their base ranges overlap, or when one is a pure
+// insertion inside (or at the edge of) the other
+function hunksTouch(a, b) {
+  if (a.start === a.end) {
+    return b.start <= a.start && a.start <= b.end;
+  }
+  if (b.start === b.end) {
+    return a.start <= b.start && b.start <= a.end;
+  }
+  return a.start < b.end && b.start < a.end;
+}
+
+// Three-way merge of the caller's content (ours) into the current page (theirs), both
+// derived from base. Changes to separate regions are combined; regions both sides
+// changed differently are reported as conflicts and keep the current page's text.
+function mergeThreeWay(baseContent, theirContent, ourContent) {
+  const base = splitMergeUnits(baseContent);
+  const theirHunks = getChangeHunks(base, splitMergeUnits(theirContent));
+  const ourHunks = getChangeHunks(base, splitMergeUnits(ourContent));
+
+  const merged = [];
+  const annotated = [];
+  const conflicts = [];
+  let baseIndex = 0;
+  let theirIndex = 0;
+  let ourIndex = 0;
+
+  const emit = (units) => {
+    merged.push(...units);
+    annotated.push(...units);
+  };
+  const copyBase = (until) => {
+    emit(base.slice(baseIndex, until));
+    baseIndex = until;
+  };
+
+  while (theirIndex < theirHunks.length || ourIndex < ourHunks.length) {
+    const theirs = theirHunks[theirIndex];
+    const ours = ourHunks[ourIndex];
+
+    // Only one side changed this region: take that change as-is
+    if (!ours || (theirs && !hunksTouch(theirs, ours) && theirs.start < ours.start)) {
+      copyBase(theirs.start);
+      emit(theirs.lines);
+      baseIndex = theirs.end;
+      theirIndex++;
+      continue;
+    }
+    if (!theirs || !hunksTouch(theirs, ours)) {
+      copyBase(ours.start);
+      emit(ours.lines);
+      baseIndex = ours.end;
+      ourIndex++;
+      continue;
+    }
+
+    // Both sides changed it: grow the region until no further hunk touches it
+    const region = { start: Math.min(theirs.start, ours.start), end: Math.max(theirs.end, ours.end) };
+    const theirGroup = [theirs];
+    const ourGroup = [ours];
+    theirIndex++;
+    ourIndex++;
+    let grew = true;
+    while (grew) {
+      grew = false;
+      if (theirIndex < theirHunks.length && hunksTouch(theirHunks[theirIndex], region)) {
+        region.end = Math.max(region.end, theirHunks[theirIndex].end);
+        theirGroup.push(theirHunks[theirIndex++]);
+        grew = true;
+      }
+      if (ourIndex < ourHunks.length && hunksTouch(ourHunks[ourIndex], region)) {
+        region.end = Math.max(region.end, ourHunks[ourIndex].end);
+        ourGroup.push(ourHunks[ourIndex++]);
+        grew = true;
+      }
+    }
+
+    // Rebuild each side's version of the region from base plus that side's hunks
+    const applyGroup = (group) => {
+      const units = [];
+      let index = region.start;
+      for (const hunk of group) {
+        units.push(...base.slice(index, hunk.start), ...hunk.lines);
+        index = hunk.end;
+      }
+      units.push(...base.slice(index, region.end));
+      return units.join('');
+    };
+
+    copyBase(region.start);
+    const theirText = applyGroup(theirGroup);
+    const ourText = applyGroup(ourGroup);
+    baseIndex = region.end;
+
+    if (theirText === ourText) {
+      emit([ourText]);
+      continue;
+    }
+
+    conflicts.push({
+      base: base.slice(region.start, region.end).join(''),
+      current: theirText,
+      yours: ourText
+    });
+    merged.push(theirText);
+    annotated.push(
+      '\n<<<<<<< current\n', theirText,
+      '\n||||||| base\n', base.slice(region.start, region.end).join(''),
+      '\n=======\n', ourText,
+      '\n>>>>>>> yours\n'
+    );
+  }
+
+  copyBase(base.length);
+
+  return {
+    clean: conflicts.length === 0,
+    merged: merged.join(''),
+    annotated: annotated.join(''),
+    conflicts
+  };
+}
+
+module.exports = {
+  splitMergeUnits,
+  mergeThreeWay
+};
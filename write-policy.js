@@ -0,0 +1,158 @@
+/**
+ * Write policy: which tools may change Confluence/Jira, and where.
+ *
+ * Configured from a JSON file (MCP_POLICY_FILE) and/or environment variables, with the
+ * environment taking precedence. Supports a global read-only mode, allow/deny lists of
+ * space keys and page-id subtrees for Confluence writes, and a confirmation mode in which
+ * writes first return a preview plus a token that must be sent back to perform them.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Tools that change anything. Read-only mode hides them all; confirmation mode gates them all.
+const WRITE_TOOLS = [
+  'confluence_create_page',
+  'confluence_update_page',
+  'confluence_patch_update',
+  'confluence_update_section',
+  'confluence_restore_page_version',
+  'confluence_move_page',
+  'confluence_upload_attachment',
+  'confluence_add_labels',
+  'confluence_remove_labels',
+  'confluence_add_comment',
+  'confluence_reply_to_comment',
+  'confluence_resolve_comment',
+  'jira_create_issue',
+  'jira_update_issue',
+  'jira_transition_issue',
+  'jira_add_comment'
+];
+
+const CONFIRMATION_ARGUMENT = 'confirmationToken';
+
+function parseBoolean(value) {
+  return ['1', 'true', 'yes', 'on'].includes(String(value).trim().toLowerCase());
+}
+
+function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Build the policy from MCP_POLICY_FILE (if set) overlaid with these variables:
+ * MCP_READ_ONLY, MCP_CONFIRM_WRITES, CONFLUENCE_ALLOW_SPACES, CONFLUENCE_DENY_SPACES,
+ * CONFLUENCE_ALLOW_PAGE_TREES, CONFLUENCE_DENY_PAGE_TREES.
+ * Throws if the file cannot be read or parsed.
+ */
+function loadWritePolicy(env = process.env) {
+  let file = {};
+  if (env.MCP_POLICY_FILE) {
+    try {
+      file = JSON.parse(fs.readFileSync(env.MCP_POLICY_FILE, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load write policy from ${env.MCP_POLICY_FILE}: ${error.message}`);
+    }
+  }
+
+  const pick = (envName, fileValue, parse) => (env[envName] !== undefined && env[envName] !== ''
+    ? parse(env[envName])
+    : parse(fileValue ?? ''));
+
+  return {
+    readOnly: pick('MCP_READ_ONLY', file.readOnly, parseBoolean),
+    confirmWrites: pick('MCP_CONFIRM_WRITES', file.confirmWrites, parseBoolean),
+    spaces: {
+      allow: pick('CONFLUENCE_ALLOW_SPACES', file.spaces?.allow, parseList).map(key => key.toUpperCase()),
+      deny: pick('CONFLUENCE_DENY_SPACES', file.spaces?.deny, parseList).map(key => key.toUpperCase())
+    },
+    pageTrees: {
+      allow: pick('CONFLUENCE_ALLOW_PAGE_TREES', file.pageTrees?.allow, parseList),
+      deny: pick('CONFLUENCE_DENY_PAGE_TREES', file.pageTrees?.deny, parseList)
+    }
+  };
+}
+
+function isWriteTool(name) {
+  return WRITE_TOOLS.includes(name);
+}
+
+// Whether Confluence writes need their target space/page resolved before they run
+function hasLocationRules(policy) {
+  return policy.spaces.allow.length > 0 || policy.spaces.deny.length > 0 ||
+    policy.pageTrees.allow.length > 0 || policy.pageTrees.deny.length > 0;
+}
+
+/**
+ * Decide whether a Confluence write may land at a location. `pageIds` is the page being
+ * written (or the new page's parent) followed by its ancestors; any of them being a listed
+ * subtree root puts the location inside that subtree. Deny rules win over allow rules, and
+ * when any allow rule exists the location must match at least one.
+ */
+function evaluateLocation(policy, { spaceKey, pageIds = [] }) {
+  const space = String(spaceKey || '').toUpperCase();
+  const deniedTree = pageIds.find(id => policy.pageTrees.deny.includes(String(id)));
+
+  if (policy.spaces.deny.includes(space)) {
+    return { allowed: false, reason: `Writes to space ${space} are denied by policy` };
+  }
+  if (deniedTree) {
+    return { allowed: false, reason: `Writes under page ${deniedTree} are denied by policy` };
+  }
+
+  const hasAllowRules = policy.spaces.allow.length > 0 || policy.pageTrees.allow.length > 0;
+  if (!hasAllowRules) {
+    return { allowed: true };
+  }
+  if (policy.spaces.allow.includes(space)) {
+    return { allowed: true };
+  }
+  if (pageIds.some(id => policy.pageTrees.allow.includes(String(id)))) {
+    return { allowed: true };
+  }
+
+  const allowed = [
+    ...policy.spaces.allow.map(key => `space ${key}`),
+    ...policy.pageTrees.allow.map(id => `pages under ${id}`)
+  ];
+  return { allowed: false, reason: `Writes are only allowed to ${allowed.join(', ')}` };
+}
+
+// JSON with object keys sorted, so the same arguments always produce the same token
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Confirmation tokens are an HMAC of the tool name and its arguments (minus the token
+ * itself), so a token only confirms the exact call that was previewed.
+ */
+function createConfirmationToken(secret, name, args = {}) {
+  const { [CONFIRMATION_ARGUMENT]: ignored, ...rest } = args;
+  return crypto.createHmac('sha256', secret).update(`${name}\n${stableStringify(rest)}`).digest('hex').slice(0, 32);
+}
+
+function isValidConfirmationToken(secret, name, args = {}) {
+  const provided = Buffer.from(String(args[CONFIRMATION_ARGUMENT] || ''));
+  const expected = Buffer.from(createConfirmationToken(secret, name, args));
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  WRITE_TOOLS,
+  CONFIRMATION_ARGUMENT,
+  loadWritePolicy,
+  isWriteTool,
+  hasLocationRules,
+  evaluateLocation,
+  createConfirmationToken,
+  isValidConfirmationToken
+};